@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+// Structured access log (opt-in)
+//
+// With ACCESS_LOG_FILE set, every request is written as one JSON line:
+//   {"timestamp":"...","requestId":"...","traceId":"...","method":"GET",
+//    "route":"/api/products/:id","path":"/api/products/7","status":200,
+//    "durationMs":14.2,"user":"3","rateLimited":false}
+// The request ID is the one k6 sends (tests/tracing.js), so the log can be
+// joined with `k6 --out json` results (scripts/join-access-log.js).
+//
+// Lines go through a write stream; once a file passes ACCESS_LOG_MAX_BYTES it
+// is renamed to <file>.1 (older ones shift up to ACCESS_LOG_MAX_FILES) and a
+// new file is started. Cluster workers each write their own file
+// (access.log → access.worker-2.log) so rotation never races.
+const ACCESS_LOG_FILE = process.env.ACCESS_LOG_FILE || '';
+const ACCESS_LOG_MAX_BYTES = parseInt(process.env.ACCESS_LOG_MAX_BYTES || '10485760');
+const ACCESS_LOG_MAX_FILES = parseInt(process.env.ACCESS_LOG_MAX_FILES || '5');
+
+const enabled = ACCESS_LOG_FILE !== '';
+
+let file = null;
+let stream = null;
+let bytes = 0;
+const stats = { entries: 0, rotations: 0, writeErrors: 0 };
+
+const open = () => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  bytes = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  stream = fs.createWriteStream(file, { flags: 'a' });
+  // A full disk shouldn't take the API down with it
+  stream.on('error', () => { stats.writeErrors++; });
+};
+
+// Renaming is safe while the old stream still flushes: its fd follows the
+// file to <file>.1
+const rotate = () => {
+  stream.end();
+  for (let i = ACCESS_LOG_MAX_FILES - 1; i >= 1; i--) {
+    if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+  }
+  if (ACCESS_LOG_MAX_FILES > 0) {
+    fs.renameSync(file, `${file}.1`);
+  } else {
+    fs.unlinkSync(file);
+  }
+  stats.rotations++;
+  open();
+};
+
+const write = (entry) => {
+  if (!stream) return;
+  const line = `${JSON.stringify(entry)}\n`;
+  const size = Buffer.byteLength(line);
+  if (bytes > 0 && bytes + size > ACCESS_LOG_MAX_BYTES) {
+    try {
+      rotate();
+    } catch (err) {
+      stats.writeErrors++;
+    }
+  }
+  bytes += size;
+  stats.entries++;
+  stream.write(line);
+};
+
+// Opens the log; `worker` (cluster worker index) gives each process its own file
+const start = (worker = null) => {
+  if (!enabled) return;
+  const resolved = path.resolve(ACCESS_LOG_FILE);
+  if (worker === null) {
+    file = resolved;
+  } else {
+    const { dir, name, ext } = path.parse(resolved);
+    file = path.join(dir, `${name}.worker-${worker}${ext}`);
+  }
+  open();
+};
+
+// Flushes and closes the log on shutdown; later requests are not logged
+const stop = () => new Promise(resolve => {
+  if (!stream) return resolve();
+  const closing = stream;
+  stream = null;
+  closing.end(resolve);
+});
+
+// `routeOf(req)` gives the matched route pattern once the response is done
+const accessLogMiddleware = ({ routeOf }) => (req, res, next) => {
+  if (!stream) return next();
+  const started = process.hrtime.bigint();
+
+  res.once('close', () => {
+    write({
+      timestamp: new Date().toISOString(),
+      requestId: req.id,
+      traceId: req.trace ? req.trace.traceId : null,
+      method: req.method,
+      route: routeOf(req),
+      path: req.originalUrl.split('?')[0],
+      // Connections dropped or timed out before a response was sent
+      status: res.writableFinished ? res.statusCode : 'aborted',
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      user: req.user ? req.user.id : null,
+      rateLimited: Boolean(req.rateLimitedBy),
+      ...(req.rateLimitedBy && { rateLimitPolicy: req.rateLimitedBy })
+    });
+  });
+  next();
+};
+
+const snapshot = () => ({ enabled, file, maxBytes: ACCESS_LOG_MAX_BYTES, maxFiles: ACCESS_LOG_MAX_FILES, ...stats });
+
+module.exports = {
+  start,
+  stop,
+  accessLogMiddleware,
+  snapshot
+};
@@ -0,0 +1,54 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+// Token issuing and verification
+//
+// Every token carries a unique `jti` so it can be revoked individually, and a
+// `type` so a refresh token can't be used as an access token or vice versa.
+// The user's `role` rides along as a claim, so authorization needs no lookup;
+// a role change applies from the user's next login or token refresh.
+const JWT_SECRET = process.env.JWT_SECRET || 'perf-test-secret';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '3600');
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '604800');
+
+const ROLES = ['customer', 'admin'];
+
+const sign = (user, type, expiresIn) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role || 'customer', type },
+  JWT_SECRET,
+  { expiresIn, jwtid: uuidv4() }
+);
+
+const issueTokens = (user) => ({
+  token: sign(user, 'access', ACCESS_TOKEN_TTL_SECONDS),
+  refreshToken: sign(user, 'refresh', REFRESH_TOKEN_TTL_SECONDS),
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS
+});
+
+// Throws (like jwt.verify) when the token is invalid, expired or of the wrong type
+const verify = (token, type) => {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+  }
+  return payload;
+};
+
+// Revocation records live until the token would have expired anyway
+const revocationRecord = (payload) => ({
+  jti: payload.jti,
+  userId: payload.id,
+  type: payload.type,
+  expiresAt: new Date(payload.exp * 1000).toISOString(),
+  revokedAt: new Date().toISOString()
+});
+
+module.exports = {
+  ROLES,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  issueTokens,
+  verify,
+  revocationRecord
+};
@@ -0,0 +1,239 @@
+const cluster = require('cluster');
+const os = require('os');
+
+// Opt-in multi-process mode
+//
+// With CLUSTER_WORKERS=N (or "auto" for one per CPU) the primary process owns
+// the store, the lock table and the rate-limit buckets, and forks N workers
+// that share the HTTP port. Workers reach the shared state through
+// request/response messages over the cluster IPC channel, so carts, orders,
+// users and rate limits stay consistent whichever worker answers. Workers
+// that die are replaced under the same index.
+//
+// On SIGTERM or SIGINT the primary passes SIGTERM on, waits for the workers
+// to drain and exit (see lifecycle.js), then stops itself. SIGHUP restarts
+// the workers one at a time: each gets a replacement under its index, and
+// drains only once the replacement reports ready, so the port keeps being
+// served throughout.
+const parseWorkers = (value) => {
+  if (!value || value === '0') return 0;
+  if (value === 'auto') return os.cpus().length;
+  const count = parseInt(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`CLUSTER_WORKERS must be a number or "auto", got "${value}"`);
+  }
+  return count;
+};
+
+const WORKERS = parseWorkers(process.env.CLUSTER_WORKERS);
+const CHANNEL = 'perf-api';
+
+const enabled = WORKERS > 0;
+const isPrimary = enabled && cluster.isPrimary;
+const isWorker = enabled && cluster.isWorker;
+// Stable 1-based index of this worker (survives restarts); null outside cluster mode
+const workerIndex = isWorker ? parseInt(process.env.CLUSTER_WORKER_INDEX) : null;
+
+const handlers = new Map();
+const pending = new Map();
+let nextCallId = 1;
+
+// Registers `fn(payload, sender)` to answer calls of `type`. On the primary,
+// `sender` is the calling worker.
+const handle = (type, fn) => {
+  handlers.set(type, fn);
+};
+
+// Returns false when the other side has already gone away
+const send = (target, message) => {
+  try {
+    target.send({ channel: CHANNEL, ...message });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const callOver = (target, type, payload) => new Promise((resolve, reject) => {
+  const id = nextCallId++;
+  pending.set(id, { resolve, reject, target });
+  if (!send(target, { kind: 'call', id, type, payload })) {
+    pending.delete(id);
+    reject(new Error(`Cluster call "${type}" failed: channel closed`));
+  }
+});
+
+// Worker → primary
+const call = (type, payload) => callOver(process, type, payload);
+
+// Primary → worker
+const callWorker = (worker, type, payload) => callOver(worker, type, payload);
+
+const onMessage = async (target, message) => {
+  if (!message || message.channel !== CHANNEL) return;
+
+  if (message.kind === 'reply') {
+    const waiter = pending.get(message.id);
+    if (!waiter) return;
+    pending.delete(message.id);
+    if (message.error) return waiter.reject(new Error(message.error));
+    return waiter.resolve(message.result);
+  }
+
+  const handler = handlers.get(message.type);
+  if (message.kind === 'notify') {
+    if (handler) handler(message.payload, target);
+    return;
+  }
+
+  try {
+    if (!handler) throw new Error(`No cluster handler for "${message.type}"`);
+    const result = await handler(message.payload, target);
+    send(target, { kind: 'reply', id: message.id, result });
+  } catch (err) {
+    send(target, { kind: 'reply', id: message.id, error: err.message });
+  }
+};
+
+const workers = new Map();
+let stopping = false;
+let restarting = false;
+// Resolvers waiting for a worker's first "worker.ready", by worker id
+const readyWaiters = new Map();
+
+const fork = (index) => {
+  const worker = cluster.fork({ CLUSTER_WORKER_INDEX: String(index) });
+  worker.index = index;
+  workers.set(index, worker);
+  worker.on('message', message => onMessage(worker, message));
+  return worker;
+};
+
+const exited = (worker) => new Promise(resolve => {
+  if (worker.isDead()) return resolve();
+  worker.once('exit', resolve);
+});
+
+// Resolves true once `worker` reports ready, false if it exits first
+const becameReady = (worker) => new Promise(resolve => {
+  readyWaiters.set(worker.id, () => resolve(true));
+  exited(worker).then(() => resolve(false));
+}).finally(() => readyWaiters.delete(worker.id));
+
+// Replaces every worker in turn, draining the old one only once its
+// replacement is ready
+const rollingRestart = async () => {
+  restarting = true;
+  console.log(`Rolling restart of ${workers.size} workers`);
+  for (const index of [...workers.keys()].sort((a, b) => a - b)) {
+    if (stopping) break;
+    const old = workers.get(index);
+    const replacement = fork(index);
+    if (!await becameReady(replacement)) {
+      console.error(`Replacement for worker ${index} exited before it was ready, stopping the restart`);
+      break;
+    }
+    old.retiring = true;
+    old.process.kill('SIGTERM');
+    await exited(old);
+    console.log(`Worker ${index} replaced (pid ${old.process.pid} → ${replacement.process.pid})`);
+  }
+  restarting = false;
+};
+
+// Forks the workers and keeps them running. `onWorkerExit(worker)` lets the
+// caller clean up whatever the worker held; `onStop()` runs once every worker
+// has exited after SIGTERM or SIGINT, or after `stopTimeoutMs` at the latest.
+const startPrimary = ({ onWorkerExit, onStop, stopTimeoutMs }) => {
+  for (let index = 1; index <= WORKERS; index++) fork(index);
+
+  handle('worker.ready', (payload, worker) => {
+    const resolve = readyWaiters.get(worker.id);
+    if (resolve) resolve();
+  });
+
+  cluster.on('exit', (worker, code, signal) => {
+    // A retired worker's index already belongs to its replacement
+    if (workers.get(worker.index) === worker) workers.delete(worker.index);
+    pending.forEach((waiter, id) => {
+      if (waiter.target !== worker) return;
+      pending.delete(id);
+      waiter.reject(new Error(`Worker ${worker.index} exited`));
+    });
+    onWorkerExit(worker);
+    if (stopping || worker.retiring) return;
+    console.error(`Worker ${worker.index} (pid ${worker.process.pid}) exited with ${signal || code}, restarting`);
+    fork(worker.index);
+  });
+
+  // Includes workers retired by a rolling restart that are still draining
+  const live = () => Object.values(cluster.workers);
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (stopping) {
+        console.error(`${signal} while workers drain, killing them`);
+        live().forEach(worker => worker.process.kill('SIGKILL'));
+        process.exit(1);
+      }
+      stopping = true;
+      live().forEach(worker => worker.process.kill('SIGTERM'));
+      const timeout = new Promise(resolve => setTimeout(resolve, stopTimeoutMs).unref());
+      Promise.race([Promise.all(live().map(exited)), timeout])
+        .then(() => onStop())
+        .then(() => process.exit(0), err => {
+          console.error(err.stack);
+          process.exit(1);
+        });
+    });
+  }
+
+  process.on('SIGHUP', () => {
+    if (restarting || stopping) return;
+    rollingRestart().catch(err => {
+      console.error(err.stack);
+      restarting = false;
+    });
+  });
+};
+
+// Workers call this once they are ready for traffic (after warm-up)
+const reportReady = () => call('worker.ready').catch(() => {});
+
+// Asks every live worker for `type` and returns the answers by worker index
+const callAllWorkers = (type, payload) => Promise.all(
+  [...workers.values()]
+    .filter(worker => worker.isConnected())
+    .sort((a, b) => a.index - b.index)
+    .map(worker => callWorker(worker, type, payload))
+);
+
+// Primary → every live worker, without waiting for answers
+const broadcast = (type, payload) => {
+  workers.forEach(worker => send(worker, { kind: 'notify', type, payload }));
+};
+
+// Primary → one live worker, without waiting for an answer
+const notifyAny = (type, payload) => {
+  const worker = [...workers.values()].find(candidate => candidate.isConnected());
+  if (worker) send(worker, { kind: 'notify', type, payload });
+};
+
+if (isWorker) {
+  process.on('message', message => onMessage(process, message));
+}
+
+module.exports = {
+  WORKERS,
+  enabled,
+  isPrimary,
+  isWorker,
+  workerIndex,
+  handle,
+  call,
+  callAllWorkers,
+  broadcast,
+  notifyAny,
+  startPrimary,
+  reportReady
+};
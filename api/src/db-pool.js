@@ -0,0 +1,111 @@
+// Simulated database connection pool
+//
+// Every API request holds one of DB_POOL_SIZE connections while it is
+// handled. When all are busy, requests wait in a FIFO queue of at most
+// DB_POOL_QUEUE_DEPTH; a request that finds the queue full, or waits longer
+// than DB_POOL_ACQUIRE_TIMEOUT_MS, is answered with 503. DB_POOL_SIZE=0
+// (default) disables the pool and admits unlimited concurrent work.
+const POOL_SIZE = parseInt(process.env.DB_POOL_SIZE || '0');
+const QUEUE_DEPTH = parseInt(process.env.DB_POOL_QUEUE_DEPTH || '100');
+const ACQUIRE_TIMEOUT_MS = parseInt(process.env.DB_POOL_ACQUIRE_TIMEOUT_MS || '1000');
+
+const enabled = POOL_SIZE > 0;
+const waiting = [];
+let inUse = 0;
+let acquired = 0;
+let totalWaitMs = 0;
+let maxWaitMs = 0;
+const rejected = { queue_full: 0, timeout: 0 };
+
+const recordAcquire = (queuedAt) => {
+  const waitMs = Date.now() - queuedAt;
+  acquired++;
+  totalWaitMs += waitMs;
+  maxWaitMs = Math.max(maxWaitMs, waitMs);
+  return waitMs;
+};
+
+// Resolves with the time spent queued once a connection is free, or rejects
+// with `err.reason` set to 'queue_full' or 'timeout'.
+const acquire = () => new Promise((resolve, reject) => {
+  const queuedAt = Date.now();
+  if (inUse < POOL_SIZE) {
+    inUse++;
+    return resolve(recordAcquire(queuedAt));
+  }
+
+  const fail = (reason) => {
+    rejected[reason]++;
+    const err = new Error(`Database pool exhausted (${reason === 'timeout' ? 'acquire timed out' : 'queue full'})`);
+    err.reason = reason;
+    reject(err);
+  };
+
+  if (waiting.length >= QUEUE_DEPTH) return fail('queue_full');
+
+  const waiter = {
+    grant: () => {
+      clearTimeout(waiter.timer);
+      resolve(recordAcquire(queuedAt));
+    },
+    timer: setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      fail('timeout');
+    }, ACQUIRE_TIMEOUT_MS)
+  };
+  waiting.push(waiter);
+});
+
+// Hands the connection straight to the next waiter, if any
+const release = () => {
+  const next = waiting.shift();
+  if (next) return next.grant();
+  inUse--;
+};
+
+// `onAcquire(waitMs)` and `onReject(reason)` let the caller record metrics
+const poolMiddleware = ({ onAcquire, onReject }) => async (req, res, next) => {
+  if (!enabled) return next();
+
+  // 'close' fires for finished and aborted responses alike, possibly while
+  // the request is still queued
+  let held = false;
+  let closed = false;
+  res.once('close', () => {
+    closed = true;
+    if (held) release();
+  });
+
+  let waitMs;
+  try {
+    waitMs = await acquire();
+  } catch (err) {
+    onReject(err.reason);
+    res.set('Retry-After', '1');
+    return res.status(503).json({ error: 'Service Unavailable', message: err.message });
+  }
+  if (closed) return release();
+
+  held = true;
+  onAcquire(waitMs);
+  next();
+};
+
+const snapshot = () => ({
+  enabled,
+  size: POOL_SIZE,
+  inUse,
+  queued: waiting.length,
+  queueDepth: QUEUE_DEPTH,
+  acquireTimeoutMs: ACQUIRE_TIMEOUT_MS,
+  saturation: enabled ? Math.round((inUse / POOL_SIZE) * 1000) / 1000 : 0,
+  acquired,
+  avgWaitMs: acquired > 0 ? Math.round((totalWaitMs / acquired) * 100) / 100 : 0,
+  maxWaitMs,
+  rejected: { queueFull: rejected.queue_full, timeout: rejected.timeout }
+});
+
+module.exports = {
+  poolMiddleware,
+  snapshot
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+
+// Deliberate defects for validating soak tests
+//
+// Unlike fault injection (faults.js), which breaks individual requests, these
+// modes make the process degrade gradually, the way real leaks do, so a soak
+// run has something to catch:
+//   heap-leak      every cart read or write retains DEFECT_HEAP_LEAK_KB that
+//                  is never freed (an unbounded "cart history")
+//   latency-creep  every API request is slowed by DEFECT_LATENCY_STEP_MS per
+//                  DEFECT_LATENCY_STEP_REQUESTS requests served so far
+//   handle-leak    every DEFECT_HANDLE_LEAK_EVERY-th API request opens a file
+//                  descriptor and starts an interval timer, and closes neither;
+//                  left long enough, the process runs out of descriptors
+// Modes come from DEFECTS (comma-separated) at startup and can be switched at
+// runtime through /admin/defects. Turning a mode off stops the growth; reset()
+// also frees everything leaked so far.
+const MODES = ['heap-leak', 'latency-creep', 'handle-leak'];
+
+const DEFECT_HEAP_LEAK_KB = parseInt(process.env.DEFECT_HEAP_LEAK_KB || '128');
+const DEFECT_LATENCY_STEP_MS = parseInt(process.env.DEFECT_LATENCY_STEP_MS || '2');
+const DEFECT_LATENCY_STEP_REQUESTS = parseInt(process.env.DEFECT_LATENCY_STEP_REQUESTS || '100');
+const DEFECT_HANDLE_LEAK_EVERY = parseInt(process.env.DEFECT_HANDLE_LEAK_EVERY || '10');
+
+const active = new Set();
+
+// What has leaked so far
+const cartHistory = [];
+const leakedDescriptors = [];
+const leakedTimers = [];
+let creepRequests = 0;
+let handleRequests = 0;
+
+// Returns the problems with a list of modes, worded as messages about it
+const validateModes = (modes) => {
+  if (!Array.isArray(modes)) return ['must be an array'];
+  return modes
+    .filter(mode => !MODES.includes(mode))
+    .map(mode => `has unknown mode "${mode}" (expected one of ${MODES.join(', ')})`);
+};
+
+const setModes = (modes) => {
+  active.clear();
+  modes.forEach(mode => active.add(mode));
+};
+
+const reset = () => {
+  active.clear();
+  cartHistory.length = 0;
+  leakedDescriptors.splice(0).forEach(fd => fs.close(fd, () => {}));
+  leakedTimers.splice(0).forEach(clearInterval);
+  creepRequests = 0;
+  handleRequests = 0;
+};
+
+// Called by the cart handlers on every read and write
+const onCartAccess = (userId, cart) => {
+  if (!active.has('heap-leak')) return;
+  cartHistory.push({
+    userId,
+    at: Date.now(),
+    items: cart.items.map(item => ({ ...item })),
+    // 8 bytes per double, on the V8 heap (a Buffer would live outside it)
+    payload: new Array(DEFECT_HEAP_LEAK_KB * 128).fill(Math.random())
+  });
+};
+
+const creepDelayMs = () => Math.floor(creepRequests / DEFECT_LATENCY_STEP_REQUESTS) * DEFECT_LATENCY_STEP_MS;
+
+const leakHandles = () => {
+  handleRequests++;
+  if (handleRequests % DEFECT_HANDLE_LEAK_EVERY !== 0) return;
+  try {
+    leakedDescriptors.push(fs.openSync(__filename, 'r'));
+  } catch (err) {
+    // EMFILE: the leak has done its job
+  }
+  leakedTimers.push(setInterval(() => {}, 60000));
+};
+
+// Applies latency-creep and handle-leak to the requests it is mounted on
+const defectMiddleware = () => async (req, res, next) => {
+  if (active.has('handle-leak')) leakHandles();
+  if (active.has('latency-creep')) {
+    creepRequests++;
+    const delay = creepDelayMs();
+    if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  next();
+};
+
+const snapshot = () => ({
+  modes: [...active],
+  available: MODES,
+  settings: {
+    heapLeakKb: DEFECT_HEAP_LEAK_KB,
+    latencyStepMs: DEFECT_LATENCY_STEP_MS,
+    latencyStepRequests: DEFECT_LATENCY_STEP_REQUESTS,
+    handleLeakEvery: DEFECT_HANDLE_LEAK_EVERY
+  },
+  leaked: {
+    cartHistoryEntries: cartHistory.length,
+    heapBytes: cartHistory.length * DEFECT_HEAP_LEAK_KB * 1024,
+    addedLatencyMs: creepDelayMs(),
+    fileDescriptors: leakedDescriptors.length,
+    timers: leakedTimers.length
+  }
+});
+
+const startupModes = (process.env.DEFECTS || '').split(',').map(mode => mode.trim()).filter(Boolean);
+const startupErrors = validateModes(startupModes);
+if (startupErrors.length > 0) {
+  throw new Error(`DEFECTS ${startupErrors.join('; ')}`);
+}
+setModes(startupModes);
+
+module.exports = {
+  MODES,
+  validateModes,
+  setModes,
+  reset,
+  onCartAccess,
+  defectMiddleware,
+  snapshot
+};
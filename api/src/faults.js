@@ -0,0 +1,142 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Runtime fault injection
+//
+// Rules are matched against the request path (`*` matches any segment run)
+// and optionally the method. The first matching rule wins, so more specific
+// rules should be registered first.
+const faults = new Map();
+
+const ERROR_STATUSES = [500, 503];
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const patternToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+};
+
+const isRate = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isDuration = (value) => Number.isInteger(value) && value >= 0;
+
+// Returns the problems with a fault rule as { in, field, message } details
+const validateFault = (input) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ in: 'body', field, message });
+  if (!input.route || typeof input.route !== 'string' || !input.route.startsWith('/')) {
+    fail('route', 'must be a path starting with "/"');
+  }
+  if (input.method !== undefined && typeof input.method !== 'string') {
+    fail('method', 'must be a string');
+  }
+  ['latencyMs', 'latencyJitterMs', 'timeoutMs', 'durationSeconds'].forEach(field => {
+    if (input[field] !== undefined && !isDuration(input[field])) {
+      fail(field, 'must be a non-negative integer');
+    }
+  });
+  ['errorRate', 'timeoutRate', 'dropRate'].forEach(field => {
+    if (input[field] !== undefined && !isRate(input[field])) {
+      fail(field, 'must be a number between 0 and 1');
+    }
+  });
+  if (input.errorStatus !== undefined && !ERROR_STATUSES.includes(input.errorStatus)) {
+    fail('errorStatus', `must be one of ${ERROR_STATUSES.join(', ')}`);
+  }
+  return errors;
+};
+
+const addFault = (input) => {
+  const fault = {
+    id: uuidv4(),
+    route: input.route,
+    method: (input.method || '*').toUpperCase(),
+    latencyMs: input.latencyMs || 0,
+    latencyJitterMs: input.latencyJitterMs || 0,
+    errorRate: input.errorRate || 0,
+    errorStatus: input.errorStatus || 500,
+    timeoutRate: input.timeoutRate || 0,
+    timeoutMs: input.timeoutMs || DEFAULT_TIMEOUT_MS,
+    dropRate: input.dropRate || 0,
+    hits: 0,
+    createdAt: new Date().toISOString(),
+    expiresAt: input.durationSeconds
+      ? new Date(Date.now() + input.durationSeconds * 1000).toISOString()
+      : null
+  };
+  faults.set(fault.id, { ...fault, matcher: patternToRegExp(fault.route) });
+  return fault;
+};
+
+const isExpired = (fault, now) => fault.expiresAt !== null && Date.parse(fault.expiresAt) <= now;
+
+const toPublic = ({ matcher, ...fault }) => fault;
+
+const listFaults = () => {
+  const now = Date.now();
+  return [...faults.values()].filter(f => !isExpired(f, now)).map(toPublic);
+};
+
+const removeFault = (id) => faults.delete(id);
+
+const clearFaults = () => {
+  const count = faults.size;
+  faults.clear();
+  return count;
+};
+
+const findFault = (req) => {
+  const now = Date.now();
+  for (const fault of faults.values()) {
+    if (isExpired(fault, now)) {
+      faults.delete(fault.id);
+      continue;
+    }
+    if (fault.method !== '*' && fault.method !== req.method) continue;
+    if (fault.matcher.test(req.path)) return fault;
+  }
+  return null;
+};
+
+// Express middleware applying the first matching rule. `onFault` is called
+// with the kind of fault injected so the caller can keep its own counters.
+const faultMiddleware = (onFault = () => {}) => async (req, res, next) => {
+  const fault = findFault(req);
+  if (!fault) return next();
+  fault.hits++;
+
+  if (fault.latencyMs || fault.latencyJitterMs) {
+    const delay = fault.latencyMs + Math.random() * fault.latencyJitterMs;
+    await new Promise(resolve => setTimeout(resolve, delay));
+    onFault('latency');
+  }
+
+  const roll = Math.random();
+  if (roll < fault.dropRate) {
+    onFault('drop');
+    return req.socket.destroy();
+  }
+  if (roll < fault.dropRate + fault.timeoutRate) {
+    onFault('timeout');
+    // Never answer; release the socket eventually so held requests don't pile up
+    const timer = setTimeout(() => req.socket.destroy(), fault.timeoutMs);
+    res.on('close', () => clearTimeout(timer));
+    return;
+  }
+  if (roll < fault.dropRate + fault.timeoutRate + fault.errorRate) {
+    onFault('error');
+    return res.status(fault.errorStatus).json({
+      error: fault.errorStatus === 503 ? 'Service Unavailable' : 'Internal Server Error',
+      message: 'Injected fault',
+      faultId: fault.id
+    });
+  }
+  next();
+};
+
+module.exports = {
+  validateFault,
+  addFault,
+  listFaults,
+  removeFault,
+  clearFaults,
+  faultMiddleware
+};
@@ -0,0 +1,285 @@
+const { buildSchema, parse, validate, execute, defaultFieldResolver, GraphQLError } = require('graphql');
+
+// GraphQL endpoint
+//
+// Exposes the same catalog, cart and order operations as the REST API, so
+// the two can be load tested side by side. Resolvers call the handlers the
+// REST routes use (each returning { status, body }) and turn non-2xx results
+// into GraphQL errors whose `extensions` carry a code and the HTTP status
+// the REST route would have answered with.
+//
+// `product` on cart and order items is resolved per item through the
+// product handler, so queries that select it cost one lookup per item (the
+// classic N+1) and can be compared with ones that don't.
+const schema = buildSchema(`
+  type Product {
+    id: ID!
+    name: String!
+    description: String!
+    price: Float!
+    stock: Int!
+    reserved: Int!
+    category: String!
+    rating: Float!
+    reviews: Int!
+  }
+
+  type Pagination {
+    page: Int
+    limit: Int!
+    total: Int!
+    totalPages: Int!
+    hasMore: Boolean
+    nextCursor: String
+  }
+
+  type ProductPage {
+    data: [Product!]!
+    pagination: Pagination!
+  }
+
+  type SearchHit {
+    id: ID!
+    name: String!
+    description: String!
+    price: Float!
+    stock: Int!
+    reserved: Int!
+    category: String!
+    rating: Float!
+    reviews: Int!
+    score: Float!
+  }
+
+  type CategoryFacet {
+    value: String!
+    count: Int!
+  }
+
+  type PriceFacet {
+    min: Float!
+    max: Float
+    count: Int!
+  }
+
+  type SearchFacets {
+    category: [CategoryFacet!]!
+    price: [PriceFacet!]!
+  }
+
+  type SearchResult {
+    products: [SearchHit!]!
+    total: Int!
+    pagination: Pagination!
+    facets: SearchFacets!
+  }
+
+  type CartItem {
+    productId: ID!
+    name: String!
+    price: Float!
+    quantity: Int!
+    reservedUntil: String
+    product: Product
+  }
+
+  type Cart {
+    userId: ID!
+    items: [CartItem!]!
+    total: Float!
+  }
+
+  type OrderItem {
+    productId: ID!
+    name: String!
+    price: Float!
+    quantity: Int!
+    product: Product
+  }
+
+  type StatusChange {
+    status: String!
+    at: String!
+    reason: String
+  }
+
+  type Order {
+    id: ID!
+    userId: ID!
+    items: [OrderItem!]!
+    total: Float!
+    status: String!
+    statusHistory: [StatusChange!]!
+    idempotencyKey: String
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  type User {
+    id: ID!
+    email: String!
+    name: String!
+  }
+
+  type AuthPayload {
+    token: String!
+    refreshToken: String!
+    expiresIn: Int!
+    user: User!
+  }
+
+  type Query {
+    products(category: String, minPrice: Float, maxPrice: Float, search: String, sort: String, page: Int, limit: Int, cursor: String): ProductPage!
+    product(id: ID!): Product
+    search(q: String!, category: String, minPrice: Float, maxPrice: Float, page: Int, limit: Int): SearchResult!
+    cart: Cart!
+    orders: [Order!]!
+    order(id: ID!): Order
+  }
+
+  type Mutation {
+    login(email: String!, password: String!): AuthPayload!
+    addToCart(productId: ID!, quantity: Int = 1): Cart!
+    checkout(idempotencyKey: String): Order!
+  }
+`);
+
+const ERROR_CODES = {
+  400: 'BAD_USER_INPUT',
+  401: 'UNAUTHENTICATED',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'UNPROCESSABLE'
+};
+
+// Returns the body of a successful result; throws a GraphQL error otherwise
+const unwrap = ({ status, body }) => {
+  if (status < 400) return body;
+  const { error, ...details } = body;
+  throw new GraphQLError(error, {
+    extensions: { code: ERROR_CODES[status] || 'INTERNAL_SERVER_ERROR', status, ...details }
+  });
+};
+
+const requireUser = (context) => {
+  if (context.user) return context.user;
+  throw new GraphQLError(context.authError, { extensions: { code: 'UNAUTHENTICATED', status: 401 } });
+};
+
+// Single fields that don't exist map to null rather than an error, as is
+// usual in GraphQL
+const orNull = (result) => (result.status === 404 ? null : unwrap(result));
+
+const operationIn = (document, operationName) => document.definitions.find(def =>
+  def.kind === 'OperationDefinition' && (!operationName || (def.name && def.name.value === operationName)));
+
+// `handlers` are the shared REST handlers plus `verifyBearer` and
+// `checkout(userId, idempotencyKey)`; `onErrors(count)` is called for every
+// response that carries errors.
+const createGraphqlHandler = (handlers, { onErrors }) => {
+  const root = {
+    products: async (args) => unwrap(await handlers.listProducts(args)),
+    product: async ({ id }) => orNull(await handlers.getProduct(id)),
+    search: async (args) => unwrap(await handlers.searchProducts(args)),
+    cart: async (args, context) => unwrap(await handlers.getCart(requireUser(context).id)),
+    orders: async (args, context) => unwrap(await handlers.listOrders(requireUser(context).id)).data,
+    order: async ({ id }, context) => orNull(await handlers.getOrder(requireUser(context).id, id)),
+    login: async ({ email, password }) => unwrap(await handlers.loginUser(email, password)),
+    addToCart: async ({ productId, quantity }, context) =>
+      unwrap(await handlers.addCartItem(requireUser(context).id, productId, quantity)),
+    checkout: async ({ idempotencyKey }, context) =>
+      unwrap(await handlers.checkout(requireUser(context).id, idempotencyKey))
+  };
+
+  // Resolvers for fields below the root, by type; the rest read properties
+  const fields = {
+    CartItem: { product: async (item) => orNull(await handlers.getProduct(item.productId)) },
+    OrderItem: { product: async (item) => orNull(await handlers.getProduct(item.productId)) }
+  };
+  const fieldResolver = (source, args, context, info) => {
+    const resolve = fields[info.parentType.name] && fields[info.parentType.name][info.fieldName];
+    return resolve ? resolve(source, args, context) : defaultFieldResolver(source, args, context, info);
+  };
+
+  const reply = (res, status, payload) => {
+    if (payload.errors) onErrors(payload.errors.length);
+    res.status(status).json(payload);
+  };
+
+  return async (req, res, next) => {
+    const params = req.method === 'GET' ? req.query : (req.body || {});
+    const { query, operationName } = params;
+    let { variables } = params;
+
+    if (typeof query !== 'string' || query.length === 0) {
+      return reply(res, 400, { errors: [{ message: 'Request must include a "query" string' }] });
+    }
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (err) {
+        return reply(res, 400, { errors: [{ message: '"variables" must be valid JSON' }] });
+      }
+    }
+    // graphql-js asserts on anything but an object here, which would be a 500
+    if (variables !== undefined && variables !== null &&
+        (typeof variables !== 'object' || Array.isArray(variables))) {
+      return reply(res, 400, { errors: [{ message: '"variables" must be an object' }] });
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (err) {
+      return reply(res, 400, { errors: [err] });
+    }
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return reply(res, 400, { errors: validationErrors });
+    }
+
+    // Mutations over GET would be unsafe requests behind a safe method
+    const operation = operationIn(document, operationName);
+    if (req.method === 'GET' && operation && operation.operation !== 'query') {
+      return reply(res, 405, { errors: [{ message: 'Only queries are allowed over GET' }] });
+    }
+
+    try {
+      const auth = await handlers.verifyBearer(req.headers.authorization);
+      if (auth.user) req.user = auth.user;
+      const result = await execute({
+        schema,
+        document,
+        rootValue: root,
+        fieldResolver,
+        contextValue: { user: auth.user || null, authError: auth.error },
+        variableValues: variables,
+        operationName
+      });
+      reply(res, 200, result);
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// Names of the top-level mutation fields a GraphQL request would run (e.g.
+// ['checkout']), so route policies such as rate limits can treat them like
+// the matching REST routes. Requests that can't run a mutation give [].
+const mutationsOf = (req) => {
+  const { query, operationName } = (req.method === 'POST' && req.body) || {};
+  if (typeof query !== 'string') return [];
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return [];
+  }
+  const operation = operationIn(document, operationName);
+  if (!operation || operation.operation !== 'mutation') return [];
+  return operation.selectionSet.selections
+    .filter(selection => selection.kind === 'Field')
+    .map(selection => selection.name.value);
+};
+
+module.exports = { createGraphqlHandler, mutationsOf };
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Idempotency keys for unsafe requests
+//
+// A client-supplied `Idempotency-Key` is stored per user together with a
+// fingerprint of the request body. Replays with the same body get the stored
+// response back; reusing the key with a different body is rejected. Keys
+// expire after IDEMPOTENCY_TTL_SECONDS and the oldest are evicted once more
+// than IDEMPOTENCY_MAX_KEYS are stored.
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400');
+const IDEMPOTENCY_MAX_KEYS = parseInt(process.env.IDEMPOTENCY_MAX_KEYS || '10000');
+const MAX_KEY_LENGTH = 255;
+
+const isValidKey = (key) => typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+
+const recordId = (userId, key) => `${userId}:${key}`;
+
+const fingerprint = (body) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body || {}))
+  .digest('hex');
+
+const pendingRecord = (userId, key, body) => {
+  const now = Date.now();
+  return {
+    id: recordId(userId, key),
+    key,
+    userId,
+    fingerprint: fingerprint(body),
+    state: 'in_progress',
+    response: null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + IDEMPOTENCY_TTL_SECONDS * 1000).toISOString()
+  };
+};
+
+const isExpired = (record, now = Date.now()) => Date.parse(record.expiresAt) <= now;
+
+// Number of oldest records to drop when over capacity. Evicting a tenth at a
+// time keeps the (full-scan) eviction off the path of most requests.
+const evictionCount = (count) =>
+  count > IDEMPOTENCY_MAX_KEYS ? count - IDEMPOTENCY_MAX_KEYS + Math.ceil(IDEMPOTENCY_MAX_KEYS / 10) : 0;
+
+module.exports = {
+  IDEMPOTENCY_MAX_KEYS,
+  isValidKey,
+  recordId,
+  fingerprint,
+  pendingRecord,
+  isExpired,
+  evictionCount
+};
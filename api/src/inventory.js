@@ -0,0 +1,109 @@
+// Inventory reservations
+//
+// Adding an item to a cart reserves stock for RESERVATION_TTL_MS. `product.reserved`
+// holds the units currently reserved by all carts, so the stock available to
+// other shoppers is `stock - reserved`. Checkout converts reservations into a
+// stock decrement. All checks and updates below are synchronous, which makes
+// them atomic with respect to other requests on the event loop.
+const RESERVATION_TTL_MS = parseInt(process.env.RESERVATION_TTL_MS || '600000');
+
+const isReserved = (item, now = Date.now()) =>
+  item.reservedUntil !== null && Date.parse(item.reservedUntil) > now;
+
+const availableStock = (product) => product.stock - product.reserved;
+
+// Reserve `quantity` units for a cart line, replacing the line's previous hold.
+// Returns false (and changes nothing) when there isn't enough unreserved stock.
+const reserve = (product, item, quantity) => {
+  const delta = quantity - (item.reservedQuantity || 0);
+  if (delta > availableStock(product)) return false;
+
+  product.reserved += delta;
+  item.reservedQuantity = quantity;
+  item.reservedUntil = new Date(Date.now() + RESERVATION_TTL_MS).toISOString();
+  return true;
+};
+
+const release = (product, item) => {
+  if (product && item.reservedQuantity) {
+    product.reserved -= item.reservedQuantity;
+  }
+  item.reservedQuantity = 0;
+  item.reservedUntil = null;
+};
+
+// Returns the cart lines that cannot be fulfilled, with the stock each could get.
+const findShortages = (items, findProduct) => items.reduce((shortages, item) => {
+  const product = findProduct(item.productId);
+  // A line's own hold counts towards product.reserved until it is released
+  const available = product ? availableStock(product) + (item.reservedQuantity || 0) : 0;
+  if (item.quantity > available) {
+    shortages.push({ productId: item.productId, requested: item.quantity, available });
+  }
+  return shortages;
+}, []);
+
+// Converts a cart's reservations into stock decrements. Callers must check
+// findShortages first unless they deliberately want to oversell.
+const commit = (items, findProduct) => {
+  items.forEach(item => {
+    const product = findProduct(item.productId);
+    release(product, item);
+    product.stock -= item.quantity;
+  });
+};
+
+const hasExpiredHold = (item, now = Date.now()) =>
+  item.reservedQuantity > 0 && !isReserved(item, now);
+
+// Releases a cart's reservations whose TTL has passed. Items stay in the cart
+// and are re-checked against available stock at checkout.
+const releaseExpired = (cart, findProduct, now = Date.now()) => {
+  let released = 0;
+  cart.items.forEach(item => {
+    if (hasExpiredHold(item, now)) {
+      release(findProduct(item.productId), item);
+      released++;
+    }
+  });
+  return released;
+};
+
+const checkInvariants = (products) => {
+  const negativeStock = [];
+  const overReserved = [];
+  let totalStock = 0;
+  let totalReserved = 0;
+
+  products.forEach(p => {
+    totalStock += p.stock;
+    totalReserved += p.reserved;
+    if (p.stock < 0) {
+      negativeStock.push({ id: p.id, stock: p.stock });
+    }
+    if (p.reserved < 0 || p.reserved > Math.max(p.stock, 0)) {
+      overReserved.push({ id: p.id, stock: p.stock, reserved: p.reserved });
+    }
+  });
+
+  return {
+    consistent: negativeStock.length === 0 && overReserved.length === 0,
+    negativeStock,
+    overReserved,
+    totals: { stock: totalStock, reserved: totalReserved },
+    checkedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  RESERVATION_TTL_MS,
+  isReserved,
+  hasExpiredHold,
+  availableStock,
+  reserve,
+  release,
+  findShortages,
+  commit,
+  releaseExpired,
+  checkInvariants
+};
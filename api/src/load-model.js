@@ -0,0 +1,88 @@
+// Load model driving simulated degradation
+//
+// Load is measured either as requests per second over a sliding window
+// (DEGRADATION_MODEL=window) or as requests currently in flight
+// (DEGRADATION_MODEL=concurrency, queueing-style). The ratio of load to
+// DEGRADATION_THRESHOLD is turned into a latency multiplier by the profile.
+const MODEL = process.env.DEGRADATION_MODEL || 'window';
+const PROFILE = process.env.DEGRADATION_PROFILE || 'linear';
+const THRESHOLD = parseInt(process.env.DEGRADATION_THRESHOLD || '100');
+const MAX_FACTOR = parseFloat(process.env.MAX_DEGRADATION_FACTOR || '5');
+const WINDOW_SECONDS = parseInt(process.env.LOAD_WINDOW_SECONDS || '10');
+
+const BUCKET_MS = 100;
+const BUCKET_COUNT = Math.max(1, Math.round(WINDOW_SECONDS * 1000 / BUCKET_MS));
+
+const PROFILES = {
+  // Latency grows in proportion to load past the threshold
+  linear: (ratio) => Math.min(ratio, MAX_FACTOR),
+  // Latency compounds quickly once past the threshold
+  exponential: (ratio) => Math.min(Math.exp((ratio - 1) * 2), MAX_FACTOR),
+  // Fine until the threshold, then immediately at the worst case
+  cliff: () => MAX_FACTOR
+};
+
+const MODELS = ['window', 'concurrency'];
+
+if (!MODELS.includes(MODEL)) {
+  throw new Error(`Unknown DEGRADATION_MODEL "${MODEL}" (expected ${MODELS.join(' or ')})`);
+}
+if (!PROFILES[PROFILE]) {
+  throw new Error(`Unknown DEGRADATION_PROFILE "${PROFILE}" (expected ${Object.keys(PROFILES).join(', ')})`);
+}
+
+// Ring of request counts per BUCKET_MS slot; each slot remembers which slot
+// index it was last used for so stale counts are dropped lazily.
+const bucketCounts = new Array(BUCKET_COUNT).fill(0);
+const bucketSlots = new Array(BUCKET_COUNT).fill(-1);
+let inFlight = 0;
+
+const recordArrival = (now = Date.now()) => {
+  const slot = Math.floor(now / BUCKET_MS);
+  const index = slot % BUCKET_COUNT;
+  if (bucketSlots[index] !== slot) {
+    bucketSlots[index] = slot;
+    bucketCounts[index] = 0;
+  }
+  bucketCounts[index]++;
+};
+
+const windowRps = (now = Date.now()) => {
+  const oldestSlot = Math.floor(now / BUCKET_MS) - BUCKET_COUNT;
+  let total = 0;
+  for (let i = 0; i < BUCKET_COUNT; i++) {
+    if (bucketSlots[i] > oldestSlot) total += bucketCounts[i];
+  }
+  return total / WINDOW_SECONDS;
+};
+
+// Express middleware counting arrivals and requests in flight
+const trackRequest = (req, res, next) => {
+  recordArrival();
+  inFlight++;
+  res.once('close', () => { inFlight--; });
+  next();
+};
+
+const currentLoad = () => (MODEL === 'concurrency' ? inFlight : windowRps());
+
+const degradationFactor = () => {
+  const ratio = currentLoad() / THRESHOLD;
+  return ratio > 1 ? PROFILES[PROFILE](ratio) : 1;
+};
+
+const snapshot = () => ({
+  model: MODEL,
+  profile: PROFILE,
+  threshold: THRESHOLD,
+  windowSeconds: WINDOW_SECONDS,
+  windowRps: Math.round(windowRps() * 100) / 100,
+  inFlight,
+  degradationFactor: Math.round(degradationFactor() * 100) / 100
+});
+
+module.exports = {
+  trackRequest,
+  degradationFactor,
+  snapshot
+};
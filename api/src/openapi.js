@@ -0,0 +1,689 @@
+const { version, description } = require('../package.json');
+const auth = require('./auth');
+const defects = require('./defects');
+
+// OpenAPI 3.1 description of the API, served at /openapi.json
+//
+// This is the contract validation.js checks requests (always) and responses
+// (RESPONSE_VALIDATION=warn|strict) against, so a route added to server.js
+// needs an operation here too: its request validator fails with a 500 until
+// it has one. Resource schemas don't allow undocumented properties, so a
+// field added to a response is reported as drift until it is documented.
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request',
+  401: 'Missing, invalid or revoked access token',
+  403: 'Signed in without the role this needs',
+  404: 'Not found',
+  409: 'Conflict with the current state',
+  422: 'Idempotency-Key reused with a different payload',
+  429: 'Too many requests',
+  500: 'Internal error',
+  503: 'Temporarily unavailable'
+};
+
+// Error responses for the given statuses, plus the `default` that covers
+// rate limiting (429), pool rejections and injected faults (503)
+const errors = (...statuses) => Object.fromEntries([
+  ...statuses.map(status => [status, json(ERROR_DESCRIPTIONS[status], ref('Error'))]),
+  ['default', json('Error', ref('Error'))]
+]);
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+const pathId = (name, description) => ({ name, in: 'path', required: true, schema: { type: 'string' }, description });
+const body = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+const secured = [{ bearerAuth: [] }];
+const adminOnly = { security: secured, 'x-required-role': 'admin' };
+const page = query('page', { type: 'integer', minimum: 1 }, 'Page number, from 1');
+const limit = query('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Page size (default 20)');
+const minPrice = query('minPrice', { type: 'number', minimum: 0 }, 'Lowest price, inclusive');
+const maxPrice = query('maxPrice', { type: 'number', minimum: 0 }, 'Highest price, inclusive');
+
+const timestamp = { type: 'string' };
+const nullable = (type) => ({ type: [type, 'null'] });
+const loose = { type: 'object' };
+
+const productProperties = {
+  id: { type: 'string' },
+  name: { type: 'string' },
+  description: { type: 'string' },
+  price: { type: 'number' },
+  stock: { type: 'integer' },
+  reserved: { type: 'integer' },
+  category: { type: 'string' },
+  rating: { type: 'number' },
+  reviews: { type: 'integer' }
+};
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+const schemas = {
+  // Errors that list problems (400s, and contract violations in strict
+  // response validation) give one `details` entry per parameter or field
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      details: {
+        type: 'array',
+        items: object({
+          in: { type: 'string', enum: ['path', 'query', 'header', 'body', 'response'] },
+          field: { type: 'string' },
+          message: { type: 'string' }
+        })
+      }
+    },
+    required: ['error']
+  },
+  Product: object(productProperties),
+  // Editable product fields; stock changes through stock adjustments
+  ProductInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      price: { type: 'number', minimum: 0 },
+      category: { type: 'string', minLength: 1 },
+      rating: { type: 'number', minimum: 0, maximum: 5 },
+      reviews: { type: 'integer', minimum: 0 }
+    },
+    additionalProperties: false
+  },
+  Pagination: object({
+    page: nullable('integer'),
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    totalPages: { type: 'integer' },
+    hasMore: { type: 'boolean' },
+    nextCursor: nullable('string')
+  }, ['page', 'limit', 'total', 'totalPages']),
+  ProductList: object({
+    data: { type: 'array', items: ref('Product') },
+    pagination: ref('Pagination')
+  }),
+  SearchHit: object({ ...productProperties, score: { type: 'number' } }),
+  SearchResult: object({
+    products: { type: 'array', items: ref('SearchHit') },
+    total: { type: 'integer' },
+    pagination: ref('Pagination'),
+    facets: object({
+      category: {
+        type: 'array',
+        items: object({ value: { type: 'string' }, count: { type: 'integer' } })
+      },
+      price: {
+        type: 'array',
+        items: object({ min: { type: 'number' }, max: nullable('number'), count: { type: 'integer' } })
+      }
+    })
+  }),
+  CartItem: object({
+    productId: { type: 'string' },
+    name: { type: 'string' },
+    price: { type: 'number' },
+    quantity: { type: 'integer', minimum: 1 },
+    reservedQuantity: { type: 'integer' },
+    reservedUntil: nullable('string')
+  }),
+  Cart: object({
+    userId: { type: 'string' },
+    items: { type: 'array', items: ref('CartItem') },
+    total: { type: 'number' }
+  }),
+  Order: object({
+    id: { type: 'string' },
+    userId: { type: 'string' },
+    items: {
+      type: 'array',
+      items: object({
+        productId: { type: 'string' },
+        name: { type: 'string' },
+        price: { type: 'number' },
+        quantity: { type: 'integer' }
+      })
+    },
+    total: { type: 'number' },
+    idempotencyKey: nullable('string'),
+    status: { type: 'string', enum: ['pending', 'paid', 'shipped', 'failed', 'cancelled'] },
+    statusHistory: {
+      type: 'array',
+      items: object({ status: { type: 'string' }, at: timestamp, reason: { type: 'string' } }, ['status', 'at'])
+    },
+    createdAt: timestamp,
+    updatedAt: timestamp
+  }),
+  OrderList: object({
+    data: { type: 'array', items: ref('Order') },
+    total: { type: 'integer' }
+  }),
+  Tokens: object({
+    token: { type: 'string' },
+    refreshToken: { type: 'string' },
+    expiresIn: { type: 'integer' },
+    refreshExpiresIn: { type: 'integer' }
+  }),
+  Session: object({
+    token: { type: 'string' },
+    refreshToken: { type: 'string' },
+    expiresIn: { type: 'integer' },
+    refreshExpiresIn: { type: 'integer' },
+    user: object({
+      id: { type: 'string' },
+      email: { type: 'string' },
+      name: { type: 'string' },
+      role: { type: 'string', enum: auth.ROLES }
+    })
+  }),
+  Credentials: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', minLength: 1 },
+      password: { type: 'string', minLength: 1 }
+    },
+    required: ['email', 'password']
+  },
+  SalesReport: object({
+    from: { type: 'string' },
+    to: { type: 'string' },
+    groupBy: { type: ['string', 'null'], enum: ['day', 'category', 'product', null] },
+    totalSales: { type: 'number' },
+    orderCount: { type: 'integer' },
+    averageOrderValue: { type: 'number' },
+    groups: {
+      type: 'array',
+      items: object({
+        key: { type: 'string' },
+        name: { type: 'string' },
+        totalSales: { type: 'number' },
+        orderCount: { type: 'integer' },
+        itemsSold: { type: 'integer' }
+      }, ['key', 'totalSales', 'orderCount', 'itemsSold'])
+    },
+    generatedAt: timestamp
+  }, ['from', 'to', 'groupBy', 'totalSales', 'orderCount', 'averageOrderValue', 'generatedAt']),
+  ReportJob: object({
+    id: { type: 'string' },
+    status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+    params: object({ from: nullable('string'), to: nullable('string'), groupBy: nullable('string') }),
+    progress: { type: 'number', minimum: 0, maximum: 1 },
+    createdAt: timestamp,
+    startedAt: nullable('string'),
+    completedAt: nullable('string'),
+    expiresAt: nullable('string'),
+    error: nullable('string'),
+    statusUrl: { type: 'string' },
+    resultUrl: nullable('string')
+  }),
+  Health: object({
+    status: { type: 'string' },
+    uptime: { type: 'integer' },
+    timestamp
+  }),
+  Readiness: object({
+    status: { type: 'string', enum: ['ready', 'not ready'] },
+    state: { type: 'string', enum: ['starting', 'warming', 'ready', 'draining'] },
+    inFlight: { type: 'integer', minimum: 0 },
+    warmupRemainingSeconds: { type: 'number', minimum: 0 },
+    checks: object({ store: { type: 'string', enum: ['ok', 'unavailable'] } }),
+    worker: { type: 'integer' },
+    timestamp
+  }, ['status', 'state', 'inFlight', 'warmupRemainingSeconds', 'checks', 'timestamp']),
+  Fault: object({
+    id: { type: 'string' },
+    route: { type: 'string' },
+    method: { type: 'string' },
+    latencyMs: { type: 'integer' },
+    latencyJitterMs: { type: 'integer' },
+    errorRate: { type: 'number' },
+    errorStatus: { type: 'integer' },
+    timeoutRate: { type: 'number' },
+    timeoutMs: { type: 'integer' },
+    dropRate: { type: 'number' },
+    hits: { type: 'integer' },
+    createdAt: timestamp,
+    expiresAt: nullable('string')
+  }),
+  FaultInput: {
+    type: 'object',
+    properties: {
+      route: { type: 'string', pattern: '^/' },
+      method: { type: 'string' },
+      latencyMs: { type: 'integer', minimum: 0 },
+      latencyJitterMs: { type: 'integer', minimum: 0 },
+      errorRate: { type: 'number', minimum: 0, maximum: 1 },
+      errorStatus: { type: 'integer', enum: [500, 503] },
+      timeoutRate: { type: 'number', minimum: 0, maximum: 1 },
+      timeoutMs: { type: 'integer', minimum: 0 },
+      dropRate: { type: 'number', minimum: 0, maximum: 1 },
+      durationSeconds: { type: 'integer', minimum: 0 }
+    },
+    required: ['route']
+  },
+  GraphqlRequest: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      variables: nullable('object'),
+      operationName: nullable('string')
+    },
+    required: ['query']
+  },
+  GraphqlResponse: {
+    type: 'object',
+    properties: {
+      data: nullable('object'),
+      errors: { type: 'array' }
+    }
+  }
+};
+
+const paths = {
+  '/health': {
+    get: { operationId: 'getHealth', tags: ['ops'], responses: { 200: json('Alive', ref('Health')), ...errors() } }
+  },
+  '/health/live': {
+    get: { operationId: 'getLiveness', tags: ['ops'], responses: { 200: json('The process is running', ref('Health')), ...errors() } }
+  },
+  '/health/ready': {
+    get: {
+      operationId: 'getReadiness',
+      tags: ['ops'],
+      responses: {
+        200: json('Ready for traffic', ref('Readiness')),
+        503: json('Warming up, draining, or the store is unavailable', ref('Readiness')),
+        ...errors()
+      }
+    }
+  },
+  '/metrics': {
+    get: { operationId: 'getMetrics', tags: ['ops'], responses: { 200: json('Runtime metrics', loose), ...errors(500) } }
+  },
+  '/metrics/prometheus': {
+    get: {
+      operationId: 'getPrometheusMetrics',
+      tags: ['ops'],
+      responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+    }
+  },
+  '/openapi.json': {
+    get: { operationId: 'getOpenApi', tags: ['ops'], responses: { 200: json('This document', loose) } }
+  },
+  '/admin/faults': {
+    get: {
+      operationId: 'listFaults',
+      tags: ['admin'],
+      ...adminOnly,
+      responses: { 200: json('Active faults', object({ data: { type: 'array', items: ref('Fault') } })), ...errors(401, 403) }
+    },
+    post: {
+      operationId: 'addFault',
+      tags: ['admin'],
+      ...adminOnly,
+      requestBody: body(ref('FaultInput')),
+      responses: { 201: json('Fault added', ref('Fault')), ...errors(400, 401, 403) }
+    },
+    delete: {
+      operationId: 'clearFaults',
+      tags: ['admin'],
+      ...adminOnly,
+      responses: { 200: json('Faults removed', object({ removed: { type: 'integer' } })), ...errors(401, 403) }
+    }
+  },
+  '/admin/faults/{id}': {
+    parameters: [pathId('id', 'Fault ID')],
+    delete: {
+      operationId: 'removeFault',
+      tags: ['admin'],
+      ...adminOnly,
+      responses: { 204: { description: 'Fault removed' }, ...errors(401, 403, 404) }
+    }
+  },
+  '/admin/defects': {
+    get: {
+      operationId: 'getDefects',
+      tags: ['admin'],
+      ...adminOnly,
+      responses: { 200: json('Defect modes and leaks', loose), ...errors(401, 403) }
+    },
+    put: {
+      operationId: 'setDefects',
+      tags: ['admin'],
+      ...adminOnly,
+      requestBody: body({
+        type: 'object',
+        properties: { modes: { type: 'array', items: { type: 'string', enum: defects.MODES } } },
+        required: ['modes']
+      }),
+      responses: { 200: json('Defect modes and leaks', loose), ...errors(400, 401, 403) }
+    },
+    delete: {
+      operationId: 'resetDefects',
+      tags: ['admin'],
+      ...adminOnly,
+      responses: { 200: json('Defect modes and leaks', loose), ...errors(401, 403) }
+    }
+  },
+  '/admin/reset': {
+    post: {
+      operationId: 'resetData',
+      tags: ['admin'],
+      ...adminOnly,
+      requestBody: body({ type: 'object', properties: { seed: nullable('integer') } }, false),
+      responses: {
+        200: json('Data set restored', object({
+          seed: nullable('integer'),
+          products: { type: 'integer' },
+          users: { type: 'integer' },
+          resetAt: timestamp
+        })),
+        ...errors(400, 401, 403, 500)
+      }
+    }
+  },
+  '/admin/inventory/check': {
+    get: {
+      operationId: 'checkInventory',
+      tags: ['admin'],
+      ...adminOnly,
+      responses: { 200: json('Stock invariants', loose), ...errors(401, 403) }
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      operationId: 'login',
+      tags: ['auth'],
+      requestBody: body(ref('Credentials')),
+      responses: { 200: json('Signed in', ref('Session')), ...errors(400, 401) }
+    }
+  },
+  '/api/auth/register': {
+    post: {
+      operationId: 'register',
+      tags: ['auth'],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          email: { type: 'string', minLength: 1 },
+          password: { type: 'string', minLength: 1 },
+          name: { type: 'string', minLength: 1 }
+        },
+        required: ['email', 'password', 'name']
+      }),
+      responses: { 201: json('Registered and signed in', ref('Session')), ...errors(400, 409) }
+    }
+  },
+  '/api/auth/refresh': {
+    post: {
+      operationId: 'refreshTokens',
+      tags: ['auth'],
+      requestBody: body({
+        type: 'object',
+        properties: { refreshToken: { type: 'string', minLength: 1 } },
+        required: ['refreshToken']
+      }),
+      responses: { 200: json('New token pair', ref('Tokens')), ...errors(400, 401) }
+    }
+  },
+  '/api/auth/logout': {
+    post: {
+      operationId: 'logout',
+      tags: ['auth'],
+      security: secured,
+      requestBody: body({ type: 'object', properties: { refreshToken: { type: 'string' } } }, false),
+      responses: { 204: { description: 'Tokens revoked' }, ...errors(400, 401) }
+    }
+  },
+  '/api/products': {
+    get: {
+      operationId: 'listProducts',
+      tags: ['catalog'],
+      parameters: [
+        query('category', { type: 'string' }, 'Only products in this category'),
+        minPrice,
+        maxPrice,
+        query('search', { type: 'string' }, 'Substring of name or description'),
+        query('sort', { type: 'string' }, 'Comma-separated field:order pairs over id, name, price, rating, reviews, stock, category'),
+        page,
+        limit,
+        query('cursor', { type: 'string' }, 'nextCursor from the previous page, instead of page')
+      ],
+      responses: { 200: json('A page of products', ref('ProductList')), ...errors(400) }
+    },
+    post: {
+      operationId: 'createProduct',
+      tags: ['catalog-admin'],
+      ...adminOnly,
+      requestBody: body({
+        type: 'object',
+        properties: {
+          ...schemas.ProductInput.properties,
+          stock: { type: 'integer', minimum: 0 }
+        },
+        required: ['name', 'price', 'category'],
+        additionalProperties: false
+      }),
+      responses: { 201: json('The new product', ref('Product')), ...errors(400, 401, 403) }
+    }
+  },
+  '/api/products/{id}': {
+    parameters: [pathId('id', 'Product ID')],
+    get: {
+      operationId: 'getProduct',
+      tags: ['catalog'],
+      responses: { 200: json('The product', ref('Product')), ...errors(404) }
+    },
+    put: {
+      operationId: 'replaceProduct',
+      tags: ['catalog-admin'],
+      ...adminOnly,
+      requestBody: body({ ...schemas.ProductInput, required: ['name', 'description', 'price', 'category'] }),
+      responses: { 200: json('The updated product', ref('Product')), ...errors(400, 401, 403, 404) }
+    },
+    patch: {
+      operationId: 'updateProduct',
+      tags: ['catalog-admin'],
+      ...adminOnly,
+      requestBody: body(ref('ProductInput')),
+      responses: { 200: json('The updated product', ref('Product')), ...errors(400, 401, 403, 404) }
+    },
+    delete: {
+      operationId: 'deleteProduct',
+      tags: ['catalog-admin'],
+      ...adminOnly,
+      responses: { 204: { description: 'Product deleted' }, ...errors(401, 403, 404) }
+    }
+  },
+  '/api/products/{id}/stock': {
+    parameters: [pathId('id', 'Product ID')],
+    post: {
+      operationId: 'adjustStock',
+      tags: ['catalog-admin'],
+      ...adminOnly,
+      requestBody: body({
+        type: 'object',
+        properties: {
+          delta: { type: 'integer' },
+          reason: { type: 'string' }
+        },
+        required: ['delta']
+      }),
+      responses: { 200: json('The product with its new stock', ref('Product')), ...errors(400, 401, 403, 404, 409) }
+    }
+  },
+  '/api/search': {
+    get: {
+      operationId: 'searchProducts',
+      tags: ['catalog'],
+      parameters: [
+        query('q', { type: 'string' }, 'Query, 2+ characters'),
+        query('category', { type: 'string' }, 'Only results in this category'),
+        minPrice,
+        maxPrice,
+        page,
+        limit
+      ],
+      responses: { 200: json('Ranked results with facets', ref('SearchResult')), ...errors(400, 500) }
+    }
+  },
+  '/api/cart': {
+    get: {
+      operationId: 'getCart',
+      tags: ['cart'],
+      security: secured,
+      responses: { 200: json('The cart', ref('Cart')), ...errors(401) }
+    },
+    delete: {
+      operationId: 'clearCart',
+      tags: ['cart'],
+      security: secured,
+      responses: { 200: json('The emptied cart', ref('Cart')), ...errors(401) }
+    }
+  },
+  '/api/cart/items': {
+    post: {
+      operationId: 'addCartItem',
+      tags: ['cart'],
+      security: secured,
+      requestBody: body({
+        type: 'object',
+        properties: {
+          productId: { type: ['string', 'integer'], minLength: 1 },
+          quantity: { type: 'integer', minimum: 1 }
+        },
+        required: ['productId']
+      }),
+      responses: { 200: json('The updated cart', ref('Cart')), ...errors(400, 401, 404, 409) }
+    }
+  },
+  '/api/cart/items/{productId}': {
+    parameters: [pathId('productId', 'Product ID of the cart item')],
+    ...Object.fromEntries(['put', 'patch'].map(method => [method, {
+      operationId: `${method === 'put' ? 'set' : 'update'}CartItemQuantity`,
+      tags: ['cart'],
+      security: secured,
+      requestBody: body({
+        type: 'object',
+        properties: { quantity: { type: 'integer', minimum: 1 } },
+        required: ['quantity']
+      }),
+      responses: { 200: json('The updated cart', ref('Cart')), ...errors(400, 401, 404, 409) }
+    }])),
+    delete: {
+      operationId: 'removeCartItem',
+      tags: ['cart'],
+      security: secured,
+      responses: { 200: json('The updated cart', ref('Cart')), ...errors(401, 404) }
+    }
+  },
+  '/api/orders': {
+    post: {
+      operationId: 'createOrder',
+      tags: ['orders'],
+      security: secured,
+      parameters: [{
+        name: 'Idempotency-Key',
+        in: 'header',
+        schema: { type: 'string', minLength: 1, maxLength: 255 },
+        description: 'Replays the first response for retries with the same key and body'
+      }],
+      requestBody: body(loose, false),
+      responses: { 201: json('Order placed from the cart', ref('Order')), ...errors(400, 401, 409, 422) }
+    },
+    get: {
+      operationId: 'listOrders',
+      tags: ['orders'],
+      security: secured,
+      responses: { 200: json('Your orders', ref('OrderList')), ...errors(401) }
+    }
+  },
+  '/api/orders/{id}': {
+    parameters: [pathId('id', 'Order ID')],
+    get: {
+      operationId: 'getOrder',
+      tags: ['orders'],
+      security: secured,
+      responses: { 200: json('The order', ref('Order')), ...errors(401, 404) }
+    }
+  },
+  '/api/orders/{id}/cancel': {
+    parameters: [pathId('id', 'Order ID')],
+    post: {
+      operationId: 'cancelOrder',
+      tags: ['orders'],
+      security: secured,
+      responses: { 200: json('The cancelled order', ref('Order')), ...errors(401, 404, 409) }
+    }
+  },
+  '/api/reports/sales': {
+    get: {
+      operationId: 'getSalesReport',
+      tags: ['reports'],
+      security: secured,
+      parameters: [
+        query('from', { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }, 'First day (UTC), default the first order'),
+        query('to', { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' }, 'Last day (UTC), default today'),
+        query('groupBy', { type: 'string', enum: ['day', 'category', 'product'] }, 'Break totals down by'),
+        query('mode', { type: 'string', enum: ['sync', 'job'] }, 'job always runs as a job; long ranges do anyway')
+      ],
+      responses: {
+        200: json('Sales totals for the range', ref('SalesReport')),
+        202: json('Report job accepted; poll its statusUrl (also in Location)', ref('ReportJob')),
+        ...errors(400, 401, 429, 503)
+      }
+    }
+  },
+  '/api/reports/jobs/{id}': {
+    parameters: [pathId('id', 'Report job ID')],
+    get: {
+      operationId: 'getReportJob',
+      tags: ['reports'],
+      security: secured,
+      responses: { 200: json('Job status and progress', ref('ReportJob')), ...errors(401, 404) }
+    }
+  },
+  '/api/reports/jobs/{id}/result': {
+    parameters: [pathId('id', 'Report job ID')],
+    get: {
+      operationId: 'getReportJobResult',
+      tags: ['reports'],
+      security: secured,
+      responses: { 200: json('The finished report', ref('SalesReport')), ...errors(401, 404, 409) }
+    }
+  },
+  '/graphql': Object.fromEntries(['get', 'post'].map(method => [method, {
+    operationId: `graphql${method === 'get' ? 'Query' : ''}`,
+    tags: ['graphql'],
+    description: 'Requests are checked against the GraphQL schema, which answers with GraphQL errors',
+    ...(method === 'get'
+      ? { parameters: [query('query', { type: 'string' }), query('operationName', { type: 'string' })] }
+      : { requestBody: body(ref('GraphqlRequest'), false) }),
+    responses: { 200: json('GraphQL result', ref('GraphqlResponse')), default: json('GraphQL errors', ref('GraphqlResponse')) }
+  }]))
+};
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'E-commerce API',
+    version,
+    description
+  },
+  servers: [{ url: '/' }],
+  components: {
+    schemas,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    }
+  },
+  paths
+};
+
+module.exports = { document };
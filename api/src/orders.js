@@ -0,0 +1,61 @@
+// Order lifecycle
+//
+//   pending ──► paid ──► shipped
+//      │         │
+//      ├──► failed
+//      └─────────┴──► cancelled
+//
+// Orders start as `pending` and are moved on by the background payment
+// simulator. Stock is returned when an order fails or is cancelled.
+const PAYMENT_LATENCY_MS = parseInt(process.env.PAYMENT_LATENCY_MS || '500');
+const PAYMENT_JITTER_MS = parseInt(process.env.PAYMENT_JITTER_MS || '250');
+const PAYMENT_FAILURE_RATE = parseFloat(process.env.PAYMENT_FAILURE_RATE || '0.05');
+const SHIPPING_DELAY_MS = parseInt(process.env.SHIPPING_DELAY_MS || '2000');
+
+const TRANSITIONS = {
+  pending: ['paid', 'failed', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: [],
+  failed: [],
+  cancelled: []
+};
+
+const RESTOCKING_STATUSES = ['failed', 'cancelled'];
+
+const canTransition = (order, status) => TRANSITIONS[order.status].includes(status);
+
+const isFinal = (order) => TRANSITIONS[order.status].length === 0;
+
+// Moves an order to `status`, recording when it happened. Callers must check
+// canTransition first.
+const transition = (order, status, details = {}) => {
+  const at = new Date().toISOString();
+  order.status = status;
+  order.updatedAt = at;
+  order.statusHistory.push({ status, at, ...details });
+  return order;
+};
+
+const newOrderFields = () => {
+  const at = new Date().toISOString();
+  return {
+    status: 'pending',
+    statusHistory: [{ status: 'pending', at }],
+    updatedAt: at
+  };
+};
+
+const paymentDelay = () => PAYMENT_LATENCY_MS + Math.random() * PAYMENT_JITTER_MS;
+
+const paymentSucceeds = () => Math.random() >= PAYMENT_FAILURE_RATE;
+
+module.exports = {
+  SHIPPING_DELAY_MS,
+  RESTOCKING_STATUSES,
+  canTransition,
+  isFinal,
+  transition,
+  newOrderFields,
+  paymentDelay,
+  paymentSucceeds
+};
@@ -0,0 +1,93 @@
+// Sorting and cursor pagination for list endpoints
+//
+// Sorts are comma-separated `field:order` pairs over a whitelist of fields,
+// always ending with the id so that equal values keep one stable order
+// across requests. Cursors are opaque (base64url JSON) and hold the sort key
+// of the last item returned plus a fingerprint of the sort and filters they
+// were issued for; the next page is everything that sorts after that key, so
+// it costs the same however deep it is and doesn't shift when earlier items
+// are added or removed.
+const ORDERS = ['asc', 'desc'];
+
+const sortError = (message) => ({ in: 'query', field: 'sort', message });
+
+// `fields` lists the sortable fields. Returns { sort } or { errors }, the
+// errors as { in, field, message } details for the `sort` query parameter.
+const parseSort = (value, fields, defaultSort = 'id:asc') => {
+  const errors = [];
+  const sort = [];
+  String(value || defaultSort).split(',').forEach(part => {
+    const [field, order = 'asc'] = part.trim().split(':');
+    if (!fields.includes(field)) {
+      errors.push(sortError(`has unknown field "${field}" (allowed: ${fields.join(', ')})`));
+    } else if (!ORDERS.includes(order)) {
+      errors.push(sortError(`order for "${field}" must be asc or desc`));
+    } else if (sort.some(s => s.field === field)) {
+      errors.push(sortError(`lists "${field}" twice`));
+    } else {
+      sort.push({ field, order });
+    }
+  });
+  if (errors.length > 0) return { errors };
+  if (!sort.some(s => s.field === 'id')) sort.push({ field: 'id', order: 'asc' });
+  return { sort };
+};
+
+// Numeric ids compare as numbers, so "10" sorts after "9"
+const keyOf = (item, sort) => sort.map(({ field }) => {
+  const value = item[field];
+  return field === 'id' && /^\d+$/.test(String(value)) ? Number(value) : value;
+});
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const compareKeys = (a, b, sort) => {
+  for (let i = 0; i < sort.length; i++) {
+    const result = compareValues(a[i], b[i]);
+    if (result !== 0) return sort[i].order === 'desc' ? -result : result;
+  }
+  return 0;
+};
+
+// Sorts a copy of `items`
+const sortItems = (items, sort) => items
+  .map(item => ({ item, key: keyOf(item, sort) }))
+  .sort((a, b) => compareKeys(a.key, b.key, sort))
+  .map(({ item }) => item);
+
+const sortText = (sort) => sort.map(({ field, order }) => `${field}:${order}`).join(',');
+
+const encodeCursor = (item, sort, fingerprint) =>
+  Buffer.from(JSON.stringify({ s: sortText(sort), f: fingerprint, k: keyOf(item, sort) })).toString('base64url');
+
+// Returns { key } or { error }, the error worded as a message about the
+// `cursor` query parameter
+const decodeCursor = (cursor, sort, fingerprint) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return { error: 'is not a valid cursor' };
+  }
+  if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== sort.length) {
+    return { error: 'is not a valid cursor' };
+  }
+  if (decoded.s !== sortText(sort) || decoded.f !== fingerprint) {
+    return { error: 'was issued for a different sort or filter' };
+  }
+  return { key: decoded.k };
+};
+
+// Items sorting strictly after `key`, in order
+const itemsAfter = (items, sort, key) => sortItems(
+  items.filter(item => compareKeys(keyOf(item, sort), key, sort) > 0),
+  sort
+);
+
+module.exports = {
+  parseSort,
+  sortItems,
+  encodeCursor,
+  decodeCursor,
+  itemsAfter
+};
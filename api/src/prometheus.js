@@ -0,0 +1,195 @@
+const client = require('prom-client');
+const loadModel = require('./load-model');
+const dbPool = require('./db-pool');
+const realtime = require('./realtime');
+const responseCache = require('./response-cache');
+const lifecycle = require('./lifecycle');
+
+// Prometheus metrics, served in text exposition format at /metrics/prometheus.
+// Durations use seconds per Prometheus convention; buckets span the latencies
+// the API simulates, from sub-10ms reads up to degraded multi-second responses.
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route, method and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route, method and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const httpRequestsInFlight = new client.Gauge({
+  name: 'http_requests_in_flight',
+  help: 'HTTP requests currently being handled',
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'server_ready',
+  help: '1 while /health/ready answers 200 (warmed up and not draining), else 0',
+  registers: [register],
+  collect() {
+    this.set(lifecycle.isReady() ? 1 : 0);
+  }
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected with 429 by the rate limiter, by policy',
+  labelNames: ['policy'],
+  registers: [register]
+});
+
+const injectedFaults = new client.Counter({
+  name: 'injected_faults_total',
+  help: 'Faults injected through /admin/faults by kind',
+  labelNames: ['kind'],
+  registers: [register]
+});
+
+const orderTransitions = new client.Counter({
+  name: 'order_status_transitions_total',
+  help: 'Order status changes made after creation, by new status',
+  labelNames: ['status'],
+  registers: [register]
+});
+
+const orderTimeToPaid = new client.Histogram({
+  name: 'order_time_to_paid_seconds',
+  help: 'Time from order creation until payment was confirmed',
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'simulated_degradation_factor',
+  help: 'Latency multiplier currently applied by the load model',
+  registers: [register],
+  collect() {
+    this.set(loadModel.degradationFactor());
+  }
+});
+
+new client.Gauge({
+  name: 'db_pool_connections_in_use',
+  help: 'Simulated database connections currently held by requests',
+  registers: [register],
+  collect() {
+    this.set(dbPool.snapshot().inUse);
+  }
+});
+
+new client.Gauge({
+  name: 'db_pool_queued_requests',
+  help: 'Requests waiting for a simulated database connection',
+  registers: [register],
+  collect() {
+    this.set(dbPool.snapshot().queued);
+  }
+});
+
+const dbPoolWait = new client.Histogram({
+  name: 'db_pool_wait_seconds',
+  help: 'Time requests spent queued for a simulated database connection',
+  buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+const dbPoolRejections = new client.Counter({
+  name: 'db_pool_rejections_total',
+  help: 'Requests answered with 503 because no database connection was available, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'websocket_connections',
+  help: 'Open WebSocket connections on /ws',
+  registers: [register],
+  collect() {
+    this.set(realtime.snapshot().connections);
+  }
+});
+
+const websocketDeliveries = new client.Counter({
+  name: 'websocket_messages_delivered_total',
+  help: 'Real-time events written to WebSocket subscribers, by event type',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'response_cache_entries',
+  help: 'Responses currently held in the catalog response cache',
+  registers: [register],
+  collect() {
+    this.set(responseCache.snapshot().entries);
+  }
+});
+
+const responseCacheLookups = new client.Counter({
+  name: 'response_cache_lookups_total',
+  help: 'Catalog response cache lookups by route and result (hit, miss, bypass)',
+  labelNames: ['route', 'result'],
+  registers: [register]
+});
+
+const notModifiedResponses = new client.Counter({
+  name: 'http_not_modified_total',
+  help: 'Conditional GETs answered 304 Not Modified, by route',
+  labelNames: ['route'],
+  registers: [register]
+});
+
+const contractViolations = new client.Counter({
+  name: 'openapi_contract_violations_total',
+  help: 'Responses that did not match the OpenAPI document (RESPONSE_VALIDATION), by route and status',
+  labelNames: ['route', 'status'],
+  registers: [register]
+});
+
+// Labels use the matched route pattern (e.g. /api/products/:id) to keep
+// cardinality bounded; requests that never reach a route are "unmatched".
+const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+const requestMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  httpRequestsInFlight.inc();
+
+  res.once('close', () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(req),
+      // Connections dropped or timed out before a response was sent
+      status: res.writableFinished ? String(res.statusCode) : 'aborted'
+    };
+    httpRequestsInFlight.dec();
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+  next();
+};
+
+module.exports = {
+  register,
+  requestMetrics,
+  routeLabel,
+  rateLimitRejections,
+  injectedFaults,
+  orderTransitions,
+  orderTimeToPaid,
+  dbPoolWait,
+  dbPoolRejections,
+  websocketDeliveries,
+  responseCacheLookups,
+  notModifiedResponses,
+  contractViolations
+};
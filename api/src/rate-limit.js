@@ -0,0 +1,159 @@
+// Token-bucket rate limiting
+//
+// Each policy gives every key (client IP or user id) a bucket of `limit`
+// tokens that refills continuously over RATE_WINDOW_SECONDS, so clients can
+// burst up to the limit and then sustain limit/window requests per second.
+// A request must find a token in every bucket that applies to it (per IP,
+// per user and any matching route policy); it only spends tokens when all of
+// them have one, so a rejection by one policy doesn't drain the others.
+// Limits are per window; 0 disables a policy.
+const RATE_LIMIT = parseInt(process.env.RATE_LIMIT || '1000');
+const RATE_LIMIT_USER = parseInt(process.env.RATE_LIMIT_USER || '600');
+const RATE_LIMIT_AUTH = parseInt(process.env.RATE_LIMIT_AUTH || '600');
+const RATE_LIMIT_CHECKOUT = parseInt(process.env.RATE_LIMIT_CHECKOUT || '60');
+const RATE_LIMIT_REPORTS = parseInt(process.env.RATE_LIMIT_REPORTS || '30');
+const RATE_WINDOW_SECONDS = parseInt(process.env.RATE_WINDOW_SECONDS || '60');
+
+// `key` picks the bucket owner: 'ip', 'user', or 'user-or-ip' (anonymous
+// requests fall back to their IP). Policies whose key is missing for a
+// request (e.g. 'user' on an unauthenticated call) don't apply to it.
+// `operation` also applies a policy to GraphQL requests running that
+// mutation, so the GraphQL route to a REST operation is limited the same way.
+const POLICIES = [
+  { name: 'ip', key: 'ip', limit: RATE_LIMIT },
+  { name: 'user', key: 'user', limit: RATE_LIMIT_USER },
+  { name: 'auth', key: 'ip', limit: RATE_LIMIT_AUTH, method: 'POST', path: /^\/api\/auth\// },
+  { name: 'checkout', key: 'user', limit: RATE_LIMIT_CHECKOUT, method: 'POST', path: /^\/api\/orders\/?$/, operation: 'checkout' },
+  { name: 'reports', key: 'user-or-ip', limit: RATE_LIMIT_REPORTS, method: 'GET', path: /^\/api\/reports\// }
+].filter(policy => policy.limit > 0);
+
+const buckets = new Map();
+let evictions = 0;
+
+const refillPerMs = (policy) => policy.limit / (RATE_WINDOW_SECONDS * 1000);
+
+const policyKey = (policy, ip, userId) => {
+  if (policy.key === 'ip') return ip;
+  if (policy.key === 'user') return userId;
+  return userId || ip;
+};
+
+const appliesTo = (policy, request) =>
+  (!policy.method || policy.method === request.method) &&
+  (!policy.path || policy.path.test(request.path) ||
+    (policy.operation !== undefined && (request.operations || []).includes(policy.operation)));
+
+// Brings a bucket up to date without spending from it
+const refill = (bucket, policy, now) => {
+  bucket.tokens = Math.min(policy.limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs(policy));
+  bucket.updatedAt = now;
+  return bucket;
+};
+
+const bucketFor = (policy, key, now) => {
+  const id = `${policy.name}:${key}`;
+  let bucket = buckets.get(id);
+  if (!bucket) {
+    bucket = { policy, tokens: policy.limit, updatedAt: now };
+    buckets.set(id, bucket);
+  }
+  return refill(bucket, policy, now);
+};
+
+const msUntilTokens = (bucket, tokens) =>
+  Math.max(0, (tokens - bucket.tokens) / refillPerMs(bucket.policy));
+
+const decision = (allowed, bucket) => ({
+  allowed,
+  policy: bucket.policy.name,
+  limit: bucket.policy.limit,
+  remaining: Math.floor(bucket.tokens),
+  resetSeconds: Math.ceil(msUntilTokens(bucket, bucket.policy.limit) / 1000),
+  retryAfterSeconds: allowed ? null : Math.max(1, Math.ceil(msUntilTokens(bucket, 1) / 1000))
+});
+
+// Checks every bucket that applies to `request` ({ method, path, ip, userId,
+// operations })
+// and spends a token from each if all allow it. The decision describes the
+// bucket to report in RateLimit-* headers: the one that rejected the request,
+// or otherwise the one closest to running out (null when no policy applies).
+// It is plain data so cluster workers can get it from the primary.
+const take = ({ method, path, ip, userId, operations }, now = Date.now()) => {
+  const applicable = [];
+  for (const policy of POLICIES) {
+    const key = appliesTo(policy, { method, path, operations }) && policyKey(policy, ip, userId);
+    if (key) applicable.push(bucketFor(policy, key, now));
+  }
+  if (applicable.length === 0) return null;
+
+  const denied = applicable.find(bucket => bucket.tokens < 1);
+  if (denied) return decision(false, denied);
+
+  for (const bucket of applicable) bucket.tokens -= 1;
+  const tightest = applicable.reduce((a, b) => (a.tokens / a.policy.limit <= b.tokens / b.policy.limit ? a : b));
+  return decision(true, tightest);
+};
+
+const setHeaders = (res, result) => {
+  res.set('RateLimit-Policy', `${result.limit};w=${RATE_WINDOW_SECONDS}`);
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.resetSeconds));
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+  }
+};
+
+// `userOf(req)` returns the authenticated user id or null; `operationsOf(req)`
+// the GraphQL mutations the request runs; `onReject(policy, req)`
+// is called for every request answered with 429. `decide` replaces the local
+// buckets (e.g. with a call to the cluster primary) and may return a promise.
+const rateLimitMiddleware = ({ userOf, operationsOf = () => [], onReject, decide = take }) => async (req, res, next) => {
+  let result;
+  try {
+    result = await decide({
+      method: req.method,
+      path: req.path,
+      ip: req.ip || req.connection.remoteAddress,
+      userId: userOf(req),
+      operations: operationsOf(req)
+    });
+  } catch (err) {
+    return next(err);
+  }
+  if (!result) return next();
+
+  setHeaders(res, result);
+  if (result.allowed) return next();
+
+  onReject(result.policy, req);
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message: `Rate limit exceeded (${result.policy}). Try again later.`
+  });
+};
+
+// A bucket left alone long enough to refill completely is indistinguishable
+// from a new one, so dropping it loses nothing.
+const evictIdle = (now = Date.now()) => {
+  for (const [id, bucket] of buckets) {
+    if (refill(bucket, bucket.policy, now).tokens >= bucket.policy.limit) {
+      buckets.delete(id);
+      evictions++;
+    }
+  }
+};
+
+const stats = () => ({
+  windowSeconds: RATE_WINDOW_SECONDS,
+  policies: Object.fromEntries(POLICIES.map(({ name, key, limit }) => [name, { key, limit }])),
+  trackedKeys: buckets.size,
+  evictions
+});
+
+module.exports = {
+  take,
+  rateLimitMiddleware,
+  evictIdle,
+  stats
+};
@@ -0,0 +1,297 @@
+const { WebSocketServer } = require('ws');
+
+// Real-time updates over WebSocket (/ws)
+//
+// Clients subscribe to their own order-status changes and to stock changes
+// (all products or a list). Events are produced by watching writes to the
+// products and orders collections (observeStore), so every code path that
+// changes stock or status is covered; in cluster mode the primary watches
+// its store and broadcasts events to every worker's connections.
+//
+// Client → server:
+//   { "type": "subscribe", "channel": "orders" }                  (needs a token)
+//   { "type": "subscribe", "channel": "stock", "productIds": [] } (omit for all)
+//   { "type": "unsubscribe", "channel": "orders" | "stock" }
+//   { "type": "ping", "sentAt": <ms> }
+// Server → client: welcome, subscribed, unsubscribed, pong, error,
+//   order.status and stock events. Events carry `publishedAt` (epoch ms) so
+//   clients can measure delivery latency.
+const WS_PATH = '/ws';
+const WS_MAX_CONNECTIONS = parseInt(process.env.WS_MAX_CONNECTIONS || '10000');
+const WS_HEARTBEAT_MS = parseInt(process.env.WS_HEARTBEAT_MS || '30000');
+// Slow consumers with more than this buffered have events dropped
+const WS_MAX_BUFFERED_BYTES = parseInt(process.env.WS_MAX_BUFFERED_BYTES || '1048576');
+
+const orderSubscribers = new Map();
+const stockSubscribers = new Map();
+const allStockSubscribers = new Set();
+const stats = { connections: 0, accepted: 0, rejected: 0, published: 0, delivered: 0, dropped: 0 };
+
+const addTo = (index, key, socket) => {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(socket);
+};
+
+const removeFrom = (index, key, socket) => {
+  const sockets = index.get(key);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) index.delete(key);
+};
+
+const send = (socket, message) => socket.send(JSON.stringify(message));
+
+const unsubscribe = (socket, channel) => {
+  if (channel === 'orders' && socket.subscriptions.orders) {
+    removeFrom(orderSubscribers, socket.user.id, socket);
+    socket.subscriptions.orders = false;
+  }
+  if (channel === 'stock' && socket.subscriptions.stock) {
+    allStockSubscribers.delete(socket);
+    socket.subscriptions.stock.forEach(id => removeFrom(stockSubscribers, id, socket));
+    socket.subscriptions.stock = null;
+  }
+};
+
+// Anything else would be stringified into a channel no product publishes to
+const isProductId = (id) => (typeof id === 'string' && id.length > 0) || Number.isInteger(id);
+
+const subscribe = (socket, message) => {
+  if (message.channel === 'orders') {
+    if (!socket.user) {
+      return send(socket, { type: 'error', error: 'Subscribing to orders requires a token' });
+    }
+    addTo(orderSubscribers, socket.user.id, socket);
+    socket.subscriptions.orders = true;
+    return send(socket, { type: 'subscribed', channel: 'orders' });
+  }
+
+  if (message.channel === 'stock') {
+    if (message.productIds !== undefined && !Array.isArray(message.productIds)) {
+      return send(socket, { type: 'error', error: 'productIds must be an array' });
+    }
+    if (message.productIds && !message.productIds.every(isProductId)) {
+      return send(socket, { type: 'error', error: 'productIds must be non-empty strings or integers' });
+    }
+    unsubscribe(socket, 'stock');
+    const productIds = message.productIds ? message.productIds.map(String) : [];
+    if (productIds.length === 0) {
+      allStockSubscribers.add(socket);
+    } else {
+      productIds.forEach(id => addTo(stockSubscribers, id, socket));
+    }
+    socket.subscriptions.stock = productIds;
+    return send(socket, { type: 'subscribed', channel: 'stock', productIds: productIds.length > 0 ? productIds : 'all' });
+  }
+
+  send(socket, { type: 'error', error: 'channel must be "orders" or "stock"' });
+};
+
+const handleMessage = (socket, message) => {
+  if (message.type === 'subscribe') return subscribe(socket, message);
+  if (message.type === 'unsubscribe') {
+    unsubscribe(socket, message.channel);
+    return send(socket, { type: 'unsubscribed', channel: message.channel });
+  }
+  if (message.type === 'ping') return send(socket, { type: 'pong', sentAt: message.sentAt, serverTime: Date.now() });
+  send(socket, { type: 'error', error: `Unknown message type "${message.type}"` });
+};
+
+// Runs as a socket event listener, where a throw would take the process
+// down, so anything unexpected is answered with an error frame instead
+const onClientMessage = (socket, data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (err) {
+    return send(socket, { type: 'error', error: 'Messages must be JSON' });
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return send(socket, { type: 'error', error: 'Messages must be JSON objects' });
+  }
+
+  try {
+    handleMessage(socket, message);
+  } catch (err) {
+    console.error(`WebSocket message failed: ${err.stack}`);
+    send(socket, { type: 'error', error: 'Message could not be handled' });
+  }
+};
+
+// Serializes once and writes to every socket in `targets`
+const fanOut = (targets, event) => {
+  const data = JSON.stringify(event);
+  let delivered = 0;
+  for (const socket of targets) {
+    if (socket.readyState !== socket.OPEN) continue;
+    if (socket.bufferedAmount > WS_MAX_BUFFERED_BYTES) {
+      stats.dropped++;
+      continue;
+    }
+    socket.send(data);
+    delivered++;
+  }
+  stats.delivered += delivered;
+  return delivered;
+};
+
+// Delivers an event to this process's subscribers. `onDelivered(type, count)`
+// (set by attach) records metrics.
+let onDelivered = () => {};
+
+const publish = (event) => {
+  stats.published++;
+  const delivered = event.type === 'order.status'
+    ? fanOut(orderSubscribers.get(event.userId) || [], event)
+    // A socket is either in the "all" set or in per-product sets, never both
+    : fanOut(allStockSubscribers, event) + fanOut(stockSubscribers.get(event.productId) || [], event);
+  onDelivered(event.type, delivered);
+};
+
+// Wraps a store so writes that change an order's status or a product's stock
+// are passed to `emit`. The last seen values are kept here because the
+// memory backend hands out records by reference, so the stored copy has
+// already changed by the time put() is called.
+const observeStore = (store, emit) => {
+  const lastStatus = new Map();
+  const lastStock = new Map();
+  const { orders, products } = store;
+
+  const observedOrders = Object.create(orders);
+  observedOrders.put = async (id, order) => {
+    const result = await orders.put(id, order);
+    const previousStatus = lastStatus.get(id);
+    if (previousStatus !== order.status) {
+      lastStatus.set(id, order.status);
+      emit({
+        type: 'order.status',
+        orderId: id,
+        userId: order.userId,
+        status: order.status,
+        previousStatus: previousStatus || null,
+        at: order.updatedAt,
+        publishedAt: Date.now()
+      });
+    }
+    return result;
+  };
+  observedOrders.delete = (id) => {
+    lastStatus.delete(id);
+    return orders.delete(id);
+  };
+  observedOrders.clear = () => {
+    lastStatus.clear();
+    return orders.clear();
+  };
+
+  const observedProducts = Object.create(products);
+  observedProducts.put = async (id, product) => {
+    const result = await products.put(id, product);
+    const signature = `${product.stock}:${product.reserved}`;
+    if (lastStock.get(id) !== signature) {
+      lastStock.set(id, signature);
+      emit({
+        type: 'stock',
+        productId: id,
+        stock: product.stock,
+        reserved: product.reserved,
+        available: product.stock - product.reserved,
+        publishedAt: Date.now()
+      });
+    }
+    return result;
+  };
+  observedProducts.delete = (id) => {
+    lastStock.delete(id);
+    return products.delete(id);
+  };
+  observedProducts.clear = () => {
+    lastStock.clear();
+    return products.clear();
+  };
+
+  return Object.assign(Object.create(store), { orders: observedOrders, products: observedProducts });
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+};
+
+// Accepts WebSocket upgrades on WS_PATH. The token may be passed as
+// `?token=` (browsers can't set headers on WebSocket requests) or as a
+// Bearer header; connections without one only get stock updates.
+const attach = (server, { verifyBearer, onDelivered: recordDelivery }) => {
+  onDelivered = recordDelivery;
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_PATH) return rejectUpgrade(socket, 404, 'Not Found');
+    if (stats.connections >= WS_MAX_CONNECTIONS) {
+      stats.rejected++;
+      return rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+
+    const token = url.searchParams.get('token');
+    let user = null;
+    if (token || req.headers.authorization) {
+      let result;
+      try {
+        result = await verifyBearer(token ? `Bearer ${token}` : req.headers.authorization);
+      } catch (err) {
+        return rejectUpgrade(socket, 500, 'Internal Server Error');
+      }
+      if (result.error) {
+        stats.rejected++;
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+      user = result.user;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => {
+      ws.user = user;
+      ws.subscriptions = { orders: false, stock: null };
+      ws.alive = true;
+      stats.connections++;
+      stats.accepted++;
+
+      ws.on('pong', () => { ws.alive = true; });
+      ws.on('message', data => onClientMessage(ws, data));
+      ws.on('close', () => {
+        stats.connections--;
+        unsubscribe(ws, 'orders');
+        unsubscribe(ws, 'stock');
+      });
+      send(ws, { type: 'welcome', userId: user ? user.id : null, serverTime: Date.now() });
+    });
+  });
+
+  // Drops connections that stopped answering pings
+  setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.alive) return ws.terminate();
+      ws.alive = false;
+      ws.ping();
+    });
+  }, WS_HEARTBEAT_MS).unref();
+
+  return wss;
+};
+
+const countSockets = (index) => [...index.values()].reduce((total, sockets) => total + sockets.size, 0);
+
+const snapshot = () => ({
+  ...stats,
+  subscriptions: {
+    orders: countSockets(orderSubscribers),
+    allStock: allStockSubscribers.size,
+    productStock: countSockets(stockSubscribers)
+  }
+});
+
+module.exports = {
+  attach,
+  publish,
+  observeStore,
+  snapshot
+};
@@ -0,0 +1,267 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Sales reports and report jobs
+//
+// A report sums the orders that count as sales (not failed or cancelled)
+// created in an inclusive UTC date range, optionally grouped by day,
+// category or product. Its simulated cost grows with the days scanned, so
+// ranges over REPORT_SYNC_MAX_DAYS (or any range with mode=job) run as jobs:
+// the request is answered 202 with a job to poll, and the result is
+// downloaded once the job has completed.
+//
+// At most REPORT_JOB_CONCURRENCY jobs run at once and up to
+// REPORT_JOB_QUEUE_DEPTH more wait for a slot; beyond that, and beyond
+// REPORT_JOBS_PER_USER unfinished jobs for one user, submissions are
+// refused. Finished jobs and their results are kept for
+// REPORT_JOB_TTL_SECONDS. In cluster mode jobs live and run in the primary.
+const REPORT_BASE_COST_MS = parseInt(process.env.REPORT_BASE_COST_MS || '200');
+const REPORT_DAY_COST_MS = parseFloat(process.env.REPORT_DAY_COST_MS || '10');
+const REPORT_SYNC_MAX_DAYS = parseInt(process.env.REPORT_SYNC_MAX_DAYS || '31');
+const REPORT_MAX_RANGE_DAYS = parseInt(process.env.REPORT_MAX_RANGE_DAYS || '1096');
+const REPORT_JOB_CONCURRENCY = parseInt(process.env.REPORT_JOB_CONCURRENCY || '2');
+const REPORT_JOB_QUEUE_DEPTH = parseInt(process.env.REPORT_JOB_QUEUE_DEPTH || '20');
+const REPORT_JOBS_PER_USER = parseInt(process.env.REPORT_JOBS_PER_USER || '3');
+const REPORT_JOB_TTL_SECONDS = parseInt(process.env.REPORT_JOB_TTL_SECONDS || '600');
+
+const GROUPINGS = ['day', 'category', 'product'];
+const MODES = ['sync', 'job'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+const addDays = (day, count) => dayOf(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS);
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Returns { params: { from, to, groupBy, mode } } or { errors } as
+// { in, field, message } details. Missing dates stay null: `to` defaults to
+// today and `from` to the first order.
+const parseQuery = (query) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ in: 'query', field, message });
+  const params = {
+    from: query.from || null,
+    to: query.to || null,
+    groupBy: query.groupBy || null,
+    mode: query.mode || 'sync'
+  };
+  ['from', 'to'].forEach(field => {
+    if (params[field] !== null && !isDate(params[field])) fail(field, 'must be a date (YYYY-MM-DD)');
+  });
+  if (params.groupBy !== null && !GROUPINGS.includes(params.groupBy)) {
+    fail('groupBy', `must be one of ${GROUPINGS.join(', ')}`);
+  }
+  if (!MODES.includes(params.mode)) fail('mode', `must be one of ${MODES.join(', ')}`);
+
+  if (errors.length === 0 && params.from && params.to) {
+    if (params.from > params.to) {
+      fail('from', 'must not be after to');
+    } else if (daysBetween(params.from, params.to) + 1 > REPORT_MAX_RANGE_DAYS) {
+      fail('to', `makes the range longer than ${REPORT_MAX_RANGE_DAYS} days`);
+    }
+  }
+  return errors.length > 0 ? { errors } : { params };
+};
+
+// The dates a report covers, filling in the defaults from `orders`
+const resolveRange = (params, orders) => {
+  const to = params.to || dayOf(Date.now());
+  const first = orders.reduce((min, order) => (min === null || order.createdAt < min ? order.createdAt : min), null);
+  let from = params.from || (first ? dayOf(first) : to);
+  if (from > to) from = to;
+  return { from, to, days: daysBetween(from, to) + 1 };
+};
+
+// Reports over more days than this run as jobs
+const needsJob = (params, range) => params.mode === 'job' || range.days > REPORT_SYNC_MAX_DAYS;
+
+// Simulated database time to scan `days` days of orders
+const costMs = (days) => REPORT_BASE_COST_MS + days * REPORT_DAY_COST_MS;
+
+const addTo = (groups, key, fields, order, sales, items) => {
+  const group = groups.get(key) || { key, ...fields, totalSales: 0, orderCount: 0, itemsSold: 0, orders: new Set() };
+  group.totalSales += sales;
+  group.itemsSold += items;
+  group.orders.add(order.id);
+  groups.set(key, group);
+};
+
+const groupsOf = (orders, range, groupBy, productsById) => {
+  const groups = new Map();
+  if (groupBy === 'day') {
+    // Every day of the range, including days without sales
+    for (let i = 0; i < range.days; i++) {
+      const day = addDays(range.from, i);
+      groups.set(day, { key: day, totalSales: 0, orderCount: 0, itemsSold: 0, orders: new Set() });
+    }
+  }
+  orders.forEach(order => order.items.forEach(item => {
+    const sales = item.price * item.quantity;
+    if (groupBy === 'day') {
+      addTo(groups, dayOf(order.createdAt), {}, order, sales, item.quantity);
+    } else if (groupBy === 'category') {
+      const product = productsById.get(item.productId);
+      addTo(groups, product ? product.category : 'unknown', {}, order, sales, item.quantity);
+    } else {
+      addTo(groups, item.productId, { name: item.name }, order, sales, item.quantity);
+    }
+  }));
+
+  const list = [...groups.values()].map(({ orders: ids, ...group }) => ({
+    ...group,
+    totalSales: round(group.totalSales),
+    orderCount: ids.size
+  }));
+  return groupBy === 'day'
+    ? list
+    : list.sort((a, b) => b.totalSales - a.totalSales || a.key.localeCompare(b.key));
+};
+
+// `orders` are sales orders; `productsById` is only needed by category
+// grouping
+const salesReport = (orders, range, groupBy, productsById = new Map()) => {
+  const inRange = orders.filter(order => {
+    const day = dayOf(order.createdAt);
+    return day >= range.from && day <= range.to;
+  });
+  const totalSales = inRange.reduce((sum, order) => sum + order.total, 0);
+  const orderCount = inRange.length;
+
+  return {
+    from: range.from,
+    to: range.to,
+    groupBy: groupBy || null,
+    totalSales: round(totalSales),
+    orderCount,
+    averageOrderValue: orderCount > 0 ? round(totalSales / orderCount) : 0,
+    ...(groupBy && { groups: groupsOf(inRange, range, groupBy, productsById) }),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+// Report jobs
+const jobs = new Map();
+const queue = [];
+let running = 0;
+const stats = { submitted: 0, rejected: 0, completed: 0, failed: 0 };
+
+const statusUrl = (job) => `/api/reports/jobs/${job.id}`;
+
+const toPublic = ({ userId, result, ...job }) => ({
+  ...job,
+  statusUrl: statusUrl(job),
+  resultUrl: job.status === 'completed' ? `${statusUrl(job)}/result` : null
+});
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+const pump = () => {
+  while (running < REPORT_JOB_CONCURRENCY && queue.length > 0) {
+    const { job, run } = queue.shift();
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    run(progress => { job.progress = Math.round(progress * 100) / 100; })
+      .then(result => {
+        job.status = 'completed';
+        job.progress = 1;
+        job.result = result;
+        stats.completed++;
+      })
+      .catch(err => {
+        console.error(`Report job ${job.id} failed: ${err.stack}`);
+        job.status = 'failed';
+        job.error = 'Report generation failed';
+        stats.failed++;
+      })
+      .finally(() => {
+        running--;
+        job.completedAt = new Date().toISOString();
+        job.expiresAt = new Date(Date.now() + REPORT_JOB_TTL_SECONDS * 1000).toISOString();
+        pump();
+      });
+  }
+};
+
+// Queues `run(onProgress)`, which resolves to the report. Returns { job }, or
+// { rejected } with "user-limit" or "queue-full".
+const submit = (userId, params, run) => {
+  const unfinished = [...jobs.values()].filter(job => job.userId === userId && !isFinished(job)).length;
+  const rejected = unfinished >= REPORT_JOBS_PER_USER ? 'user-limit'
+    : queue.length >= REPORT_JOB_QUEUE_DEPTH ? 'queue-full'
+      : null;
+  if (rejected) {
+    stats.rejected++;
+    return { rejected };
+  }
+
+  const job = {
+    id: uuidv4(),
+    userId,
+    status: 'queued',
+    params: { from: params.from, to: params.to, groupBy: params.groupBy },
+    progress: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    expiresAt: null,
+    error: null,
+    result: null
+  };
+  jobs.set(job.id, job);
+  queue.push({ job, run });
+  stats.submitted++;
+  pump();
+  return { job: toPublic(job) };
+};
+
+// Jobs are only visible to the user who submitted them
+const findJob = (userId, id) => {
+  const job = jobs.get(id);
+  return job && job.userId === userId ? job : null;
+};
+
+const getJob = (userId, id) => {
+  const job = findJob(userId, id);
+  return job ? toPublic(job) : null;
+};
+
+// { job, result }, with result null until the job has completed
+const getResult = (userId, id) => {
+  const job = findJob(userId, id);
+  return job ? { job: toPublic(job), result: job.result } : null;
+};
+
+const purgeExpired = (now = Date.now()) => {
+  jobs.forEach((job, id) => {
+    if (job.expiresAt && Date.parse(job.expiresAt) <= now) jobs.delete(id);
+  });
+};
+
+const snapshot = () => ({
+  running,
+  queued: queue.length,
+  retained: jobs.size,
+  concurrency: REPORT_JOB_CONCURRENCY,
+  queueDepth: REPORT_JOB_QUEUE_DEPTH,
+  ...stats
+});
+
+module.exports = {
+  REPORT_DAY_COST_MS,
+  parseQuery,
+  resolveRange,
+  needsJob,
+  costMs,
+  salesReport,
+  submit,
+  getJob,
+  getResult,
+  purgeExpired,
+  snapshot
+};
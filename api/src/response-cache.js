@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+
+// Response cache and conditional GETs for catalog endpoints
+//
+// Cached routes keep the serialized body of 200 responses in an LRU keyed by
+// path and (sorted) query, for RESPONSE_CACHE_TTL_MS. Every cached-route
+// response gets a strong ETag of its body; a request whose If-None-Match
+// matches a cached entry is answered 304 without running the handler at all.
+// RESPONSE_CACHE_SIZE=0 turns the cache off (cache-cold runs) but keeps ETags
+// and 304s, which then cost a full handler run.
+//
+// Entries record the products they contain, so a stock change drops only the
+// entries showing that product, plus any entry ordered by stock (where the
+// change can move another product into the page). New products, changes to
+// other fields (which can move a product into or out of a filtered or sorted
+// list), deletes and clears drop everything. Writes are seen by wrapping the
+// products collection (observeStore); in cluster mode the primary watches its
+// store and tells every worker to invalidate.
+const RESPONSE_CACHE_SIZE = parseInt(process.env.RESPONSE_CACHE_SIZE || '1000');
+const RESPONSE_CACHE_TTL_MS = parseInt(process.env.RESPONSE_CACHE_TTL_MS || '5000');
+// 0 sends "no-cache": clients may store responses but must revalidate
+const RESPONSE_CACHE_MAX_AGE = parseInt(process.env.RESPONSE_CACHE_MAX_AGE || '0');
+
+const enabled = RESPONSE_CACHE_SIZE > 0;
+
+// Map iteration order doubles as recency order: hits are re-inserted last
+const entries = new Map();
+const stats = { hits: 0, misses: 0, notModified: 0, evictions: 0, invalidations: 0 };
+
+const cacheControl = RESPONSE_CACHE_MAX_AGE > 0
+  ? `public, max-age=${RESPONSE_CACHE_MAX_AGE}`
+  : 'no-cache';
+
+const cacheKey = (req) => {
+  const query = Object.keys(req.query).sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(req.query[key])}`)
+    .join('&');
+  return `${req.baseUrl}${req.path}?${query}`;
+};
+
+const etagOf = (payload) => `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+
+// If-None-Match may list several tags, or be "*"; weak tags match too
+const matches = (ifNoneMatch, etag) => Boolean(ifNoneMatch) && ifNoneMatch.split(',')
+  .some(tag => tag.trim() === '*' || tag.trim().replace(/^W\//, '') === etag);
+
+const lookup = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  entries.delete(key);
+  if (entry.expiresAt <= Date.now()) return null;
+  entries.set(key, entry);
+  return entry;
+};
+
+const remember = (key, entry) => {
+  entries.delete(key);
+  entries.set(key, entry);
+  if (entries.size > RESPONSE_CACHE_SIZE) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+};
+
+// Drops the entries showing `productId` and those that depend on stock, or
+// everything when it is null
+const invalidate = (productId = null) => {
+  for (const [key, entry] of entries) {
+    if (productId === null || entry.dependsOnStock || entry.productIds.has(String(productId))) {
+      entries.delete(key);
+      stats.invalidations++;
+    }
+  }
+};
+
+// Route middleware. `productIdsOf(body)` lists the products a response
+// shows; `dependsOnStock(req)` tells whether stock changes to any product can
+// change it (e.g. a list sorted by stock). `onLookup(result)` is called with "hit", "miss" or "bypass" (cache
+// off), and `onNotModified()` for every 304.
+const cached = ({ productIdsOf, dependsOnStock = () => false, onLookup = () => {}, onNotModified = () => {} }) => (req, res, next) => {
+  const key = cacheKey(req);
+
+  const send = (entry, result) => {
+    res.set('ETag', entry.etag);
+    res.set('Cache-Control', cacheControl);
+    res.set('X-Cache', result);
+    if (matches(req.get('If-None-Match'), entry.etag)) {
+      stats.notModified++;
+      onNotModified();
+      return res.status(304).end();
+    }
+    return res.type('json').send(entry.payload);
+  };
+
+  const entry = enabled ? lookup(key) : null;
+  if (entry) {
+    stats.hits++;
+    onLookup('hit');
+    return send(entry, 'HIT');
+  }
+  if (enabled) stats.misses++;
+  onLookup(enabled ? 'miss' : 'bypass');
+
+  res.json = function (body) {
+    const started = process.hrtime.bigint();
+    const payload = JSON.stringify(body);
+    if (req.timings) req.timings.add('serialize', Number(process.hrtime.bigint() - started) / 1e6);
+
+    const fresh = { payload, etag: etagOf(payload) };
+    if (this.statusCode !== 200) {
+      return this.type('json').send(payload);
+    }
+    if (enabled) {
+      remember(key, {
+        ...fresh,
+        productIds: new Set(productIdsOf(body).map(String)),
+        dependsOnStock: dependsOnStock(req),
+        expiresAt: Date.now() + RESPONSE_CACHE_TTL_MS
+      });
+    }
+    return send(fresh, enabled ? 'MISS' : 'BYPASS');
+  };
+  next();
+};
+
+// Stock and reservations change all the time; anything else about a product
+// can change which lists it belongs in
+const listingOf = ({ stock, reserved, ...listing }) => JSON.stringify(listing);
+
+// Wraps a store so product writes invalidate cached responses through
+// `onChange(productId)` (null to drop everything)
+const observeStore = (baseStore, onChange) => {
+  const { products } = baseStore;
+  const observedProducts = Object.create(products);
+  observedProducts.put = async (id, product) => {
+    const previous = await products.get(id);
+    const result = await products.put(id, product);
+    onChange(previous && listingOf(previous) === listingOf(product) ? id : null);
+    return result;
+  };
+  observedProducts.delete = async (id) => {
+    const result = await products.delete(id);
+    onChange(null);
+    return result;
+  };
+  observedProducts.clear = async () => {
+    const result = await products.clear();
+    onChange(null);
+    return result;
+  };
+  return Object.assign(Object.create(baseStore), { products: observedProducts });
+};
+
+const snapshot = () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled,
+    entries: entries.size,
+    maxEntries: RESPONSE_CACHE_SIZE,
+    ttlMs: RESPONSE_CACHE_TTL_MS,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 10000) / 10000 : 0
+  };
+};
+
+module.exports = {
+  cached,
+  invalidate,
+  observeStore,
+  snapshot
+};
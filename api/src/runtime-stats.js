@@ -0,0 +1,102 @@
+const fs = require('fs');
+const { monitorEventLoopDelay, PerformanceObserver, constants } = require('perf_hooks');
+
+// Process health for /metrics: memory, event-loop lag, GC pauses and open
+// handles. Prometheus gets the same from prom-client's default metrics; this
+// is the JSON view the soak test samples. Lag and GC figures cover the
+// current window, which restarts every RUNTIME_STATS_WINDOW_SECONDS.
+const RUNTIME_STATS_WINDOW_SECONDS = parseInt(process.env.RUNTIME_STATS_WINDOW_SECONDS || '60');
+
+const GC_KINDS = {
+  [constants.NODE_PERFORMANCE_GC_MINOR]: 'minor',
+  [constants.NODE_PERFORMANCE_GC_MAJOR]: 'major',
+  [constants.NODE_PERFORMANCE_GC_INCREMENTAL]: 'incremental',
+  [constants.NODE_PERFORMANCE_GC_WEAKCB]: 'weakcb'
+};
+
+// The histogram measures how late a timer firing every LAG_RESOLUTION_MS
+// runs, and each sample includes that interval: an idle loop reads about
+// 10ms. lagMs() takes it off, so the figures start from 0.
+const LAG_RESOLUTION_MS = 10;
+const lag = monitorEventLoopDelay({ resolution: LAG_RESOLUTION_MS });
+lag.enable();
+
+const emptyGc = () => ({ count: 0, totalPauseMs: 0, maxPauseMs: 0, byKind: {} });
+let gc = emptyGc();
+let totalGc = emptyGc();
+let windowStartedAt = Date.now();
+
+const recordGc = (stats, kind, duration) => {
+  stats.count++;
+  stats.totalPauseMs += duration;
+  stats.maxPauseMs = Math.max(stats.maxPauseMs, duration);
+  stats.byKind[kind] = (stats.byKind[kind] || 0) + 1;
+};
+
+new PerformanceObserver(list => {
+  list.getEntries().forEach(entry => {
+    const kind = GC_KINDS[entry.detail ? entry.detail.kind : entry.kind] || 'other';
+    recordGc(gc, kind, entry.duration);
+    recordGc(totalGc, kind, entry.duration);
+  });
+}).observe({ entryTypes: ['gc'] });
+
+setInterval(() => {
+  lag.reset();
+  gc = emptyGc();
+  windowStartedAt = Date.now();
+}, RUNTIME_STATS_WINDOW_SECONDS * 1000).unref();
+
+const round = (value) => Math.round(value * 100) / 100;
+const nsToMs = (ns) => (Number.isFinite(ns) ? round(ns / 1e6) : 0);
+const lagMs = (ns) => Math.max(0, round(nsToMs(ns) - LAG_RESOLUTION_MS));
+
+// /proc is Linux-only; elsewhere the count is null
+const openFileDescriptors = () => {
+  try {
+    return fs.readdirSync('/proc/self/fd').length;
+  } catch (err) {
+    return null;
+  }
+};
+
+const activeResources = () => process.getActiveResourcesInfo().reduce((counts, type) => {
+  counts[type] = (counts[type] || 0) + 1;
+  return counts;
+}, {});
+
+const gcSummary = (stats) => ({
+  count: stats.count,
+  totalPauseMs: round(stats.totalPauseMs),
+  maxPauseMs: round(stats.maxPauseMs),
+  byKind: stats.byKind
+});
+
+const snapshot = () => {
+  const memory = process.memoryUsage();
+  return {
+    memory: {
+      heapUsedBytes: memory.heapUsed,
+      heapTotalBytes: memory.heapTotal,
+      rssBytes: memory.rss,
+      externalBytes: memory.external,
+      arrayBuffersBytes: memory.arrayBuffers
+    },
+    windowSeconds: Math.round((Date.now() - windowStartedAt) / 1000),
+    eventLoopLagMs: {
+      mean: lagMs(lag.mean),
+      p50: lagMs(lag.percentile(50)),
+      p99: lagMs(lag.percentile(99)),
+      max: lagMs(lag.max)
+    },
+    gc: { ...gcSummary(gc), sinceStart: gcSummary(totalGc) },
+    handles: {
+      openFileDescriptors: openFileDescriptors(),
+      activeResources: activeResources()
+    }
+  };
+};
+
+module.exports = {
+  snapshot
+};
@@ -0,0 +1,257 @@
+// Product search
+//
+// An inverted index over product name, category and description, built at
+// startup and kept current by watching writes to the products collection
+// (observeStore). Queries are tokenized the same way as products; every
+// query term must match (AND), either exactly or, for terms of 2+ letters,
+// as a prefix of an indexed term ("book" finds "books") at a lower weight.
+// Results are ranked by TF-IDF with per-field weights, ties broken by rating
+// and then id, and come with real totals, pagination and category/price
+// facets.
+//
+// SEARCH_MODE=scan answers the same queries, with the same ranking, by
+// tokenizing every product on each request: the cost of having no index.
+// In cluster mode the index lives in the primary, like the rate limiter.
+const SEARCH_MODE = process.env.SEARCH_MODE || 'index';
+const MODES = ['index', 'scan'];
+
+if (!MODES.includes(SEARCH_MODE)) {
+  throw new Error(`Unknown SEARCH_MODE "${SEARCH_MODE}" (expected ${MODES.join(' or ')})`);
+}
+
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+const PREFIX_WEIGHT = 0.5;
+const STOPWORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'or', 'the', 'to', 'with']);
+const PRICE_BUCKETS = [
+  { min: 0, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 250 },
+  { min: 250, max: 500 },
+  { min: 500, max: null }
+];
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token && !STOPWORDS.has(token));
+
+// term → weighted frequency within one product
+const termsOf = (product) => {
+  const terms = new Map();
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    tokenize(product[field]).forEach(term => terms.set(term, (terms.get(term) || 0) + weight));
+  });
+  return terms;
+};
+
+// Indexed text, to skip re-tokenizing on stock-only writes
+const textOf = (product) => `${product.name}\u0000${product.category}\u0000${product.description}`;
+
+// An index: postings (term → Map(productId → weight)), the products
+// themselves and a sorted term list for prefix lookups
+const createIndex = () => ({ postings: new Map(), docs: new Map(), texts: new Map(), sortedTerms: null });
+
+const removeDoc = (index, id) => {
+  if (!index.docs.has(id)) return;
+  termsOf(index.docs.get(id)).forEach((weight, term) => {
+    const posting = index.postings.get(term);
+    posting.delete(id);
+    if (posting.size === 0) {
+      index.postings.delete(term);
+      index.sortedTerms = null;
+    }
+  });
+  index.docs.delete(id);
+  index.texts.delete(id);
+};
+
+const putDoc = (index, product) => {
+  const id = String(product.id);
+  const text = textOf(product);
+  if (index.texts.get(id) === text) {
+    index.docs.set(id, { ...product });
+    return;
+  }
+  removeDoc(index, id);
+  termsOf(product).forEach((weight, term) => {
+    if (!index.postings.has(term)) {
+      index.postings.set(term, new Map());
+      index.sortedTerms = null;
+    }
+    index.postings.get(term).set(id, weight);
+  });
+  index.docs.set(id, { ...product });
+  index.texts.set(id, text);
+};
+
+const sortedTerms = (index) => {
+  if (!index.sortedTerms) index.sortedTerms = [...index.postings.keys()].sort();
+  return index.sortedTerms;
+};
+
+// Indexed terms starting with `prefix` (binary search for the first one)
+const termsWithPrefix = (index, prefix) => {
+  const terms = sortedTerms(index);
+  let low = 0;
+  let high = terms.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (terms[mid] < prefix) low = mid + 1; else high = mid;
+  }
+  const matches = [];
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) matches.push(terms[i]);
+  return matches;
+};
+
+// productId → score for one query term, or null when nothing matches
+const scoreTerm = (index, queryTerm) => {
+  const scores = new Map();
+  const total = index.docs.size;
+  const add = (term, factor) => {
+    const posting = index.postings.get(term);
+    const idf = Math.log(1 + total / posting.size);
+    posting.forEach((weight, id) => {
+      scores.set(id, Math.max(scores.get(id) || 0, weight * idf * factor));
+    });
+  };
+
+  if (index.postings.has(queryTerm)) add(queryTerm, 1);
+  if (queryTerm.length >= 2) {
+    termsWithPrefix(index, queryTerm)
+      .filter(term => term !== queryTerm)
+      .forEach(term => add(term, PREFIX_WEIGHT));
+  }
+  return scores.size > 0 ? scores : null;
+};
+
+// Ranked matches for all query terms: [{ id, score }]
+const match = (index, terms) => {
+  let combined = null;
+  for (const term of terms) {
+    const scores = scoreTerm(index, term);
+    if (!scores) return [];
+    if (combined === null) {
+      combined = scores;
+    } else {
+      const next = new Map();
+      combined.forEach((score, id) => {
+        if (scores.has(id)) next.set(id, score + scores.get(id));
+      });
+      combined = next;
+    }
+    if (combined.size === 0) return [];
+  }
+  return [...(combined || new Map())].map(([id, score]) => ({ id, score }));
+};
+
+const inPriceRange = (product, { minPrice, maxPrice }) =>
+  (minPrice === null || product.price >= minPrice) && (maxPrice === null || product.price <= maxPrice);
+
+const inBucket = (price, bucket) => price >= bucket.min && (bucket.max === null || price < bucket.max);
+
+// Each facet counts matches under the other filters only, so picking a
+// category still shows how many results the other categories would have
+const facetsOf = (products, params) => {
+  const categories = new Map();
+  products
+    .filter(product => inPriceRange(product, params))
+    .forEach(product => categories.set(product.category, (categories.get(product.category) || 0) + 1));
+
+  const byCategory = products.filter(product => !params.category || product.category === params.category);
+  return {
+    category: [...categories]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    price: PRICE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: byCategory.filter(product => inBucket(product.price, bucket)).length
+    }))
+  };
+};
+
+const run = (index, params) => {
+  const terms = tokenize(params.q);
+  const matches = match(index, terms).map(({ id, score }) => ({ product: index.docs.get(id), score }));
+  const products = matches.map(m => m.product);
+
+  const filtered = matches
+    .filter(({ product }) => (!params.category || product.category === params.category) && inPriceRange(product, params))
+    .sort((a, b) =>
+      b.score - a.score ||
+      b.product.rating - a.product.rating ||
+      Number(a.product.id) - Number(b.product.id));
+
+  const start = (params.page - 1) * params.limit;
+  return {
+    products: filtered.slice(start, start + params.limit).map(({ product, score }) => ({
+      ...product,
+      score: Math.round(score * 1000) / 1000
+    })),
+    total: filtered.length,
+    pagination: {
+      page: params.page,
+      limit: params.limit,
+      total: filtered.length,
+      totalPages: Math.ceil(filtered.length / params.limit)
+    },
+    facets: facetsOf(products, params)
+  };
+};
+
+// The live index, fed by observeStore
+let live = createIndex();
+let queries = 0;
+
+const rebuild = (products) => {
+  live = createIndex();
+  products.forEach(product => putDoc(live, product));
+};
+
+// `params`: { q, category, minPrice, maxPrice, page, limit }, already parsed.
+// In scan mode `products` is the whole catalog, read for this query.
+const search = (params, products = null) => {
+  queries++;
+  if (SEARCH_MODE === 'scan') {
+    const index = createIndex();
+    products.forEach(product => putDoc(index, product));
+    return run(index, params);
+  }
+  return run(live, params);
+};
+
+// Wraps a store so product writes keep the live index current
+const observeStore = (store) => {
+  const { products } = store;
+  const observedProducts = Object.create(products);
+  observedProducts.put = async (id, product) => {
+    const result = await products.put(id, product);
+    putDoc(live, product);
+    return result;
+  };
+  observedProducts.delete = async (id) => {
+    const result = await products.delete(id);
+    removeDoc(live, String(id));
+    return result;
+  };
+  observedProducts.clear = async () => {
+    const result = await products.clear();
+    live = createIndex();
+    return result;
+  };
+  return Object.assign(Object.create(store), { products: observedProducts });
+};
+
+const stats = () => ({
+  mode: SEARCH_MODE,
+  documents: live.docs.size,
+  terms: live.postings.size,
+  queries
+});
+
+module.exports = {
+  SEARCH_MODE,
+  rebuild,
+  search,
+  observeStore,
+  stats
+};
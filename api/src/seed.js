@@ -0,0 +1,92 @@
+// Mock data generation
+//
+// With SEED set, catalog and users come from a seeded PRNG and a fixed
+// reference date, so every boot (and every /admin/reset) produces identical
+// data. Without it, data is random on each boot as before. Generated users
+// are customers; one admin (ADMIN_EMAIL / ADMIN_PASSWORD) is added to them.
+const SEED = process.env.SEED !== undefined && process.env.SEED !== '' ? parseInt(process.env.SEED) : null;
+const CATALOG_SIZE = parseInt(process.env.CATALOG_SIZE || '1000');
+const USER_COUNT = parseInt(process.env.USER_COUNT || '100');
+const SEED_REFERENCE_TIME = Date.parse('2025-01-01T00:00:00.000Z');
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@test.com';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+
+if (SEED !== null && Number.isNaN(SEED)) {
+  throw new Error(`SEED must be an integer, got "${process.env.SEED}"`);
+}
+
+// mulberry32: small, fast and good enough for test data
+const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const generateProducts = (count, random = Math.random) => {
+  const categories = ['electronics', 'clothing', 'books', 'home', 'sports'];
+  const products = [];
+  for (let i = 1; i <= count; i++) {
+    products.push({
+      id: i.toString(),
+      name: `Product ${i}`,
+      description: `Description for product ${i}. High quality item with excellent features.`,
+      price: Math.round((random() * 500 + 10) * 100) / 100,
+      stock: Math.floor(random() * 1000),
+      reserved: 0,
+      category: categories[Math.floor(random() * categories.length)],
+      rating: Math.round((random() * 2 + 3) * 10) / 10,
+      reviews: Math.floor(random() * 500)
+    });
+  }
+  return products;
+};
+
+const generateUsers = (count, random = Math.random, referenceTime = Date.now()) => {
+  const users = [];
+  for (let i = 1; i <= count; i++) {
+    users.push({
+      id: i.toString(),
+      email: `user${i}@test.com`,
+      password: 'password123',
+      name: `User ${i}`,
+      role: 'customer',
+      createdAt: new Date(referenceTime - random() * 365 * 24 * 60 * 60 * 1000).toISOString()
+    });
+  }
+  users.push({
+    id: 'admin',
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    name: 'Admin',
+    role: 'admin',
+    createdAt: new Date(referenceTime).toISOString()
+  });
+  return users;
+};
+
+// Generates the full data set. `seed` overrides SEED; null means unseeded.
+const generateSeedData = (seed = SEED) => {
+  if (seed === null) {
+    return {
+      seed,
+      products: generateProducts(CATALOG_SIZE),
+      users: generateUsers(USER_COUNT)
+    };
+  }
+  const random = createRng(seed);
+  return {
+    seed,
+    products: generateProducts(CATALOG_SIZE, random),
+    users: generateUsers(USER_COUNT, random, SEED_REFERENCE_TIME)
+  };
+};
+
+module.exports = {
+  SEED,
+  generateSeedData
+};
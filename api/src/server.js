@@ -1,131 +1,536 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const compression = require('compression');
+const faults = require('./faults');
+const inventory = require('./inventory');
+const { createStore, createRemoteStore, serveStore, COLLECTIONS } = require('./storage');
+const prometheus = require('./prometheus');
+const loadModel = require('./load-model');
+const auth = require('./auth');
+const idempotency = require('./idempotency');
+const orderLifecycle = require('./orders');
+const seed = require('./seed');
+const rateLimit = require('./rate-limit');
+const dbPool = require('./db-pool');
+const clusterMode = require('./cluster');
+const { createGraphqlHandler, mutationsOf } = require('./graphql');
+const realtime = require('./realtime');
+const tracing = require('./tracing');
+const accessLog = require('./access-log');
+const defects = require('./defects');
+const runtimeStats = require('./runtime-stats');
+const responseCache = require('./response-cache');
+const searchIndex = require('./search-index');
+const pagination = require('./pagination');
+const openapi = require('./openapi');
+const validation = require('./validation');
+const reports = require('./reports');
+const lifecycle = require('./lifecycle');
 
 const app = express();
+// First, so every response carries request IDs and Server-Timing
+app.use(tracing.tracingMiddleware);
+// Counts requests in flight for draining on shutdown (see lifecycle.js)
+app.use(lifecycle.trackRequests);
+app.use(accessLog.accessLogMiddleware({ routeOf: prometheus.routeLabel }));
+// Checks responses against the OpenAPI document when RESPONSE_VALIDATION is set
+app.use(validation.responseValidator(openapi.document, {
+  onDrift: (route, status, errors, req) => {
+    prometheus.contractViolations.inc({ route, status: String(status) });
+    console.warn(`[${req.id}] Contract drift on ${route} ${status}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+  }
+}));
 app.use(express.json());
 app.use(compression());
+app.use(prometheus.requestMetrics);
 
 const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'perf-test-secret';
 
 // Metrics tracking
 const metrics = {
   requests: 0,
   errors: 0,
-  startTime: Date.now()
+  rateLimited: 0,
+  idempotentReplays: 0,
+  startTime: Date.now(),
+  faults: { latency: 0, error: 0, timeout: 0, drop: 0 }
 };
 
+// Route middleware checking parameters and bodies against the OpenAPI
+// document (see validation.js); goes after `authenticate`
+const validated = validation.requestValidator(openapi.document, {
+  onInvalid: () => metrics.errors++
+});
+
 // Simulate database latency (configurable via env)
 const DB_LATENCY_MS = parseInt(process.env.DB_LATENCY_MS || '10');
-const DEGRADATION_THRESHOLD = parseInt(process.env.DEGRADATION_THRESHOLD || '100');
+// Extra latency per row skipped by page/limit (OFFSET) pagination
+const DB_OFFSET_ROW_COST_MS = parseFloat(process.env.DB_OFFSET_ROW_COST_MS || '0.05');
 
 const simulateDbLatency = async (baseLatency = DB_LATENCY_MS) => {
-  // Simulate degradation under load
-  const currentRps = metrics.requests / ((Date.now() - metrics.startTime) / 1000);
-  const degradationFactor = currentRps > DEGRADATION_THRESHOLD ?
-    Math.min(currentRps / DEGRADATION_THRESHOLD, 5) : 1;
-
-  const latency = baseLatency * degradationFactor + Math.random() * 5;
-  await new Promise(resolve => setTimeout(resolve, latency));
-};
-
-// Generate mock data
-const generateProducts = (count) => {
-  const categories = ['electronics', 'clothing', 'books', 'home', 'sports'];
-  const products = [];
-  for (let i = 1; i <= count; i++) {
-    products.push({
-      id: i.toString(),
-      name: `Product ${i}`,
-      description: `Description for product ${i}. High quality item with excellent features.`,
-      price: Math.round((Math.random() * 500 + 10) * 100) / 100,
-      stock: Math.floor(Math.random() * 1000),
-      category: categories[Math.floor(Math.random() * categories.length)],
-      rating: Math.round((Math.random() * 2 + 3) * 10) / 10,
-      reviews: Math.floor(Math.random() * 500)
-    });
+  // Simulate degradation under load (see load-model.js) and cold starts
+  // (see lifecycle.js)
+  const latency = baseLatency * loadModel.degradationFactor() * lifecycle.latencyFactor() + Math.random() * 5;
+  await tracing.measure('db', new Promise(resolve => setTimeout(resolve, latency)));
+};
+
+// Persistence backend (STORAGE_BACKEND=memory|file), created on startup
+let store;
+
+// Seed in use for the current data set (null when unseeded)
+let currentSeed = seed.SEED;
+
+const seedStore = async (seedValue = currentSeed) => {
+  const data = seed.generateSeedData(seedValue);
+  if (await store.products.count() === 0) {
+    for (const product of data.products) {
+      await store.products.put(product.id, product);
+    }
+  }
+  if (await store.users.count() === 0) {
+    for (const user of data.users) {
+      await store.users.put(user.id, user);
+    }
   }
-  return products;
 };
 
-const generateUsers = (count) => {
-  const users = [];
-  for (let i = 1; i <= count; i++) {
-    users.push({
-      id: i.toString(),
-      email: `user${i}@test.com`,
-      password: 'password123',
-      name: `User ${i}`,
-      createdAt: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString()
-    });
+// Collections a reset leaves alone: clearing revocations would make tokens
+// that were logged out or refreshed valid again
+const KEPT_ON_RESET = ['revokedTokens'];
+
+// Wipes every other collection and seeds again. Holds the inventory lock so
+// no cart or order change lands half-way through.
+const resetStore = (seedValue) => store.withLock('inventory', async () => {
+  for (const name of COLLECTIONS.filter(name => !KEPT_ON_RESET.includes(name))) {
+    await store[name].clear();
   }
-  return users;
+  currentSeed = seedValue;
+  await seedStore(seedValue);
+  return {
+    seed: currentSeed,
+    products: await store.products.count(),
+    users: await store.users.count()
+  };
+});
+
+const emptyCart = (userId) => ({ userId, items: [], total: 0 });
+
+const isValidQuantity = (quantity) => Number.isInteger(quantity) && quantity > 0;
+
+const updateCartTotal = (cart) => {
+  cart.total = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  cart.total = Math.round(cart.total * 100) / 100;
 };
 
-// In-memory database
-const db = {
-  products: generateProducts(1000),
-  users: generateUsers(100),
-  orders: [],
-  carts: new Map()
+// Loads the products referenced by cart items, keyed by id
+const loadProducts = async (items) => {
+  const products = await Promise.all(items.map(item => store.products.get(item.productId)));
+  return new Map(products.filter(Boolean).map(p => [p.id, p]));
 };
 
-// Rate limiting (simple in-memory)
-const rateLimiter = new Map();
-const RATE_LIMIT = parseInt(process.env.RATE_LIMIT || '1000');
-const RATE_WINDOW_MS = 60000;
+const saveProducts = (products) => Promise.all(
+  [...products.values()].map(p => store.products.put(p.id, p))
+);
+
+// Inventory locking can be disabled to reproduce overselling: stock is then
+// checked before the simulated payment latency and decremented after it.
+const INVENTORY_LOCKING = process.env.INVENTORY_LOCKING !== 'false';
+
+const withInventoryLock = (fn) => INVENTORY_LOCKING ? store.withLock('inventory', fn) : fn();
 
-const checkRateLimit = (ip) => {
+const revokeToken = (payload) => store.revokedTokens.put(payload.jti, auth.revocationRecord(payload));
+
+const purgeExpiredRevocations = async () => {
   const now = Date.now();
-  const windowStart = now - RATE_WINDOW_MS;
+  const expired = await store.revokedTokens.find(r => Date.parse(r.expiresAt) <= now);
+  for (const record of expired) {
+    await store.revokedTokens.delete(record.jti);
+  }
+};
+
+let purgingIdempotencyKeys = false;
+
+const purgeIdempotencyKeys = async () => {
+  if (purgingIdempotencyKeys) return;
+  purgingIdempotencyKeys = true;
+  try {
+    const now = Date.now();
+    const records = await store.idempotencyKeys.all();
+    const expired = records.filter(r => idempotency.isExpired(r, now));
+    const live = records.filter(r => !idempotency.isExpired(r, now));
+    // Keys still being processed are never evicted: their requests would
+    // finish without a record to complete
+    const completed = live.filter(r => r.state === 'completed');
+    const evicted = completed.slice(0, idempotency.evictionCount(live.length));
+    for (const record of [...expired, ...evicted]) {
+      await store.idempotencyKeys.delete(record.id);
+    }
+  } finally {
+    purgingIdempotencyKeys = false;
+  }
+};
+
+// Runs `handler` (returning { status, body }) at most once per user and
+// Idempotency-Key. Replays get the stored response; a key reused with a
+// different body gets 422, and one still being processed gets 409.
+const withIdempotency = async (userId, key, body, handler) => {
+  const id = idempotency.recordId(userId, key);
+  const requestFingerprint = idempotency.fingerprint(body);
+
+  const pending = idempotency.pendingRecord(userId, key, body);
+  const existing = await store.withLock(`idempotency:${id}`, async () => {
+    const record = await store.idempotencyKeys.get(id);
+    if (record && !idempotency.isExpired(record)) return record;
+    await store.idempotencyKeys.put(id, pending);
+    return null;
+  });
 
-  if (!rateLimiter.has(ip)) {
-    rateLimiter.set(ip, []);
+  if (existing) {
+    if (existing.fingerprint !== requestFingerprint) {
+      return { status: 422, body: { error: 'Idempotency-Key reused with a different payload' } };
+    }
+    if (existing.state === 'in_progress') {
+      return { status: 409, body: { error: 'A request with this Idempotency-Key is in progress' } };
+    }
+    metrics.idempotentReplays++;
+    return { ...existing.response, replayed: true };
   }
 
-  const requests = rateLimiter.get(ip).filter(time => time > windowStart);
-  requests.push(now);
-  rateLimiter.set(ip, requests);
+  let result;
+  try {
+    result = await handler();
+  } catch (err) {
+    await store.idempotencyKeys.delete(id);
+    throw err;
+  }
 
-  return requests.length <= RATE_LIMIT;
+  if (result.status >= 500) {
+    // Server errors aren't final; let the client retry with the same key
+    await store.idempotencyKeys.delete(id);
+  } else {
+    // Completed from our own pending record, which holds the fingerprint and
+    // expiry even if the stored one has gone in the meantime
+    await store.idempotencyKeys.put(id, { ...pending, state: 'completed', response: result });
+    if (await store.idempotencyKeys.count() > idempotency.IDEMPOTENCY_MAX_KEYS) {
+      purgeIdempotencyKeys().catch(err => console.error(err.stack));
+    }
+  }
+  return result;
 };
 
-// Middleware
-app.use((req, res, next) => {
-  metrics.requests++;
-  const ip = req.ip || req.connection.remoteAddress;
+// Returns an order's items to stock (failed or cancelled orders)
+const restock = (order) => withInventoryLock(async () => {
+  const products = await loadProducts(order.items);
+  order.items.forEach(item => {
+    const product = products.get(item.productId);
+    if (product) product.stock += item.quantity;
+  });
+  await saveProducts(products);
+});
 
-  if (!checkRateLimit(ip)) {
-    metrics.errors++;
-    return res.status(429).json({
-      error: 'Too Many Requests',
-      message: 'Rate limit exceeded. Try again later.'
-    });
+const countTransition = ({ status, secondsToPaid }) => {
+  prometheus.orderTransitions.inc({ status });
+  if (status === 'paid') prometheus.orderTimeToPaid.observe(secondsToPaid);
+};
+
+// The primary serves no metrics, so in cluster mode it hands the transitions
+// it makes to a worker to count
+const recordTransition = clusterMode.isPrimary
+  ? transition => clusterMode.notifyAny('order.transition', transition)
+  : countTransition;
+
+// Applies a lifecycle transition if it is still allowed. Returns the updated
+// order, or null when the order is gone or already in an incompatible state.
+const advanceOrder = (orderId, status, details) => store.withLock(`order:${orderId}`, async () => {
+  const order = await store.orders.get(orderId);
+  if (!order || !orderLifecycle.canTransition(order, status)) return null;
+
+  orderLifecycle.transition(order, status, details);
+  if (orderLifecycle.RESTOCKING_STATUSES.includes(status)) {
+    await restock(order);
   }
-  next();
+  await store.orders.put(order.id, order);
+
+  recordTransition({
+    status,
+    secondsToPaid: (Date.parse(order.updatedAt) - Date.parse(order.createdAt)) / 1000
+  });
+  return order;
 });
 
-const authenticate = (req, res, next) => {
-  const authHeader = req.headers.authorization;
+// Background payment and shipping simulation
+const scheduleOrderProcessing = (order) => {
+  const step = async () => {
+    let next;
+    if (order.status === 'pending') {
+      next = orderLifecycle.paymentSucceeds()
+        ? await advanceOrder(order.id, 'paid')
+        : await advanceOrder(order.id, 'failed', { reason: 'Payment declined' });
+    } else {
+      next = await advanceOrder(order.id, 'shipped');
+    }
+    if (next && !orderLifecycle.isFinal(next)) scheduleOrderProcessing(next);
+  };
+
+  const delay = order.status === 'pending' ? orderLifecycle.paymentDelay() : orderLifecycle.SHIPPING_DELAY_MS;
+  setTimeout(() => step().catch(err => console.error(err.stack)), delay).unref();
+};
+
+// Payment and shipping run where the store lives: in cluster mode that is
+// the primary, so orders keep moving when the worker that took them exits
+const processOrder = clusterMode.isWorker
+  ? order => clusterMode.call('order.process', order).catch(err => console.error(err.stack))
+  : scheduleOrderProcessing;
+
+// Picks up orders left mid-lifecycle by a previous run (file storage)
+const resumeOrderProcessing = async () => {
+  const unfinished = await store.orders.find(o => o.status === 'pending' || o.status === 'paid');
+  unfinished.forEach(scheduleOrderProcessing);
+};
+
+const releaseExpiredReservations = () => withInventoryLock(async () => {
+  const now = Date.now();
+  const carts = await store.carts.find(cart => cart.items.some(item => inventory.hasExpiredHold(item, now)));
+  for (const cart of carts) {
+    const products = await loadProducts(cart.items);
+    inventory.releaseExpired(cart, id => products.get(id), now);
+    await saveProducts(products);
+    await store.carts.put(cart.userId, cart);
+  }
+});
+
+// Prometheus scrape endpoint (mounted before rate limiting so scrapes are never rejected)
+app.get('/metrics/prometheus', validated, async (req, res, next) => {
+  let text;
+  try {
+    text = await prometheus.register.metrics();
+  } catch (err) {
+    return next(err);
+  }
+  res.set('Content-Type', prometheus.register.contentType);
+  res.end(text);
+});
+
+// Liveness and readiness probes (mounted before rate limiting so probes are
+// never rejected). Live while the process runs; ready once warmed up, until
+// it starts draining, and only while the store answers.
+app.get('/health/live', validated, (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: Math.floor((Date.now() - metrics.startTime) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/health/ready', validated, async (req, res) => {
+  const { state, inFlight, warmupRemainingSeconds } = lifecycle.snapshot();
+  let storeOk = true;
+  if (state !== 'draining') {
+    try {
+      await store.products.count();
+    } catch (err) {
+      storeOk = false;
+    }
+  }
+
+  const ready = lifecycle.isReady() && storeOk;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    state,
+    inFlight,
+    warmupRemainingSeconds,
+    checks: { store: storeOk ? 'ok' : 'unavailable' },
+    ...(clusterMode.isWorker && { worker: clusterMode.workerIndex }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The API contract (see openapi.js)
+app.get('/openapi.json', validated, (req, res) => {
+  res.json(openapi.document);
+});
+
+// Resolves the token payload behind an Authorization header, or the reason
+// it was refused
+const verifyBearer = async (authHeader) => {
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    metrics.errors++;
-    return res.status(401).json({ error: 'Unauthorized' });
+    return { error: 'Unauthorized' };
+  }
+
+  let payload;
+  try {
+    payload = auth.verify(authHeader.split(' ')[1], 'access');
+  } catch (err) {
+    return { error: 'Invalid token' };
+  }
+
+  if (await store.revokedTokens.get(payload.jti)) {
+    return { error: 'Token revoked' };
   }
+  return { user: payload };
+};
 
+// Requires a valid access token (401) and, when `roles` are given, one of
+// those roles (403)
+const authenticateAs = (...roles) => async (req, res, next) => {
+  let result;
   try {
-    const token = authHeader.split(' ')[1];
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    result = await tracing.measure('auth', verifyBearer(req.headers.authorization));
   } catch (err) {
+    return next(err);
+  }
+
+  if (result.error) {
     metrics.errors++;
-    return res.status(401).json({ error: 'Invalid token' });
+    return res.status(401).json({ error: result.error });
+  }
+  req.user = result.user;
+  if (roles.length > 0 && !roles.includes(result.user.role)) {
+    metrics.errors++;
+    return res.status(403).json({ error: 'Forbidden', requiredRole: roles.join(' or ') });
+  }
+  next();
+};
+
+const authenticate = authenticateAs();
+const authenticateAdmin = authenticateAs('admin');
+
+// Admin endpoints (mounted before rate limiting so test harnesses can always
+// reach them). They change or expose the whole test setup, so they need an
+// admin token.
+app.get('/admin/faults', authenticateAdmin, validated, (req, res) => {
+  res.json({ data: faults.listFaults() });
+});
+
+app.post('/admin/faults', authenticateAdmin, validated, (req, res) => {
+  const errors = faults.validateFault(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid fault', details: errors });
+  }
+  res.status(201).json(faults.addFault(req.body));
+});
+
+app.delete('/admin/faults/:id', authenticateAdmin, validated, (req, res) => {
+  if (!faults.removeFault(req.params.id)) {
+    return res.status(404).json({ error: 'Fault not found' });
+  }
+  res.status(204).end();
+});
+
+app.delete('/admin/faults', authenticateAdmin, validated, (req, res) => {
+  res.json({ removed: faults.clearFaults() });
+});
+
+// Defect modes apply to the process that answers; in cluster mode use
+// DEFECTS to enable them on every worker
+app.get('/admin/defects', authenticateAdmin, validated, (req, res) => {
+  res.json(defects.snapshot());
+});
+
+app.put('/admin/defects', authenticateAdmin, validated, (req, res) => {
+  const { modes } = req.body || {};
+  const errors = defects.validateModes(modes);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid defect modes',
+      details: errors.map(message => ({ in: 'body', field: 'modes', message }))
+    });
+  }
+  defects.setModes(modes);
+  res.json(defects.snapshot());
+});
+
+// Turns every mode off and frees what has leaked so far
+app.delete('/admin/defects', authenticateAdmin, validated, (req, res) => {
+  defects.reset();
+  res.json(defects.snapshot());
+});
+
+// Restores the seeded data set; pass { "seed": n } to switch seeds
+app.post('/admin/reset', authenticateAdmin, validated, async (req, res, next) => {
+  const requestedSeed = (req.body || {}).seed;
+  if (requestedSeed !== undefined && requestedSeed !== null && !Number.isInteger(requestedSeed)) {
+    return res.status(400).json({ error: 'seed must be an integer or null' });
+  }
+
+  // In cluster mode the primary owns the data set and the current seed
+  let summary;
+  try {
+    summary = clusterMode.isWorker
+      ? await clusterMode.call('reset', { seed: requestedSeed })
+      : await resetStore(requestedSeed === undefined ? currentSeed : requestedSeed);
+  } catch (err) {
+    return next(err);
+  }
+
+  res.json({ ...summary, resetAt: new Date().toISOString() });
+});
+
+app.get('/admin/inventory/check', authenticateAdmin, validated, async (req, res, next) => {
+  let products;
+  try {
+    products = await store.products.all();
+  } catch (err) {
+    return next(err);
+  }
+  res.json({ locking: INVENTORY_LOCKING, ...inventory.checkInvariants(products) });
+});
+
+// User id from a valid access token, for per-user rate limits. Revocation is
+// left to `authenticate`; a revoked token still counts against its user.
+const bearerSubject = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  try {
+    return auth.verify(authHeader.split(' ')[1], 'access').id;
+  } catch (err) {
+    return null;
   }
 };
 
-// Health & Metrics
-app.get('/health', (req, res) => {
+// Middleware
+app.use(loadModel.trackRequest);
+
+app.use((req, res, next) => {
+  metrics.requests++;
+  next();
+});
+
+app.use(tracing.timed('ratelimit', rateLimit.rateLimitMiddleware({
+  userOf: bearerSubject,
+  // GraphQL checkouts count against the checkout policy like POST /api/orders
+  operationsOf: req => (req.path === '/graphql' ? mutationsOf(req) : []),
+  // Cluster workers share the primary's buckets
+  decide: clusterMode.isWorker ? request => clusterMode.call('rateLimit.take', request) : rateLimit.take,
+  onReject: (policy, req) => {
+    req.rateLimitedBy = policy;
+    metrics.errors++;
+    metrics.rateLimited++;
+    prometheus.rateLimitRejections.inc({ policy });
+  }
+})));
+
+app.use(tracing.timed('fault', faults.faultMiddleware(kind => {
+  metrics.faults[kind]++;
+  prometheus.injectedFaults.inc({ kind });
+  if (kind !== 'latency') metrics.errors++;
+})));
+
+// Each API request holds a simulated DB connection while it runs
+app.use(['/api', '/graphql'], tracing.timed('pool', dbPool.poolMiddleware({
+  onAcquire: waitMs => prometheus.dbPoolWait.observe(waitMs / 1000),
+  onReject: reason => {
+    metrics.errors++;
+    prometheus.dbPoolRejections.inc({ reason });
+  }
+})));
+
+// Defect modes (off unless DEFECTS is set or enabled via /admin/defects)
+app.use(['/api', '/graphql'], defects.defectMiddleware());
+
+// Health & Metrics. /health always answers ok; probes that follow warm-up
+// and draining are /health/live and /health/ready above.
+app.get('/health', validated, (req, res) => {
   res.json({
     status: 'ok',
     uptime: Math.floor((Date.now() - metrics.startTime) / 1000),
@@ -133,43 +538,129 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/metrics', (req, res) => {
-  const uptime = (Date.now() - metrics.startTime) / 1000;
+// Counters kept by this process; in cluster mode every worker has its own
+const processStats = () => ({
+  worker: clusterMode.workerIndex,
+  pid: process.pid,
+  uptimeSeconds: (Date.now() - metrics.startTime) / 1000,
+  requests: metrics.requests,
+  errors: metrics.errors,
+  rateLimited: metrics.rateLimited,
+  idempotentReplays: metrics.idempotentReplays,
+  injectedFaults: metrics.faults,
+  load: loadModel.snapshot(),
+  dbPool: dbPool.snapshot(),
+  realtime: realtime.snapshot(),
+  accessLog: accessLog.snapshot(),
+  runtime: runtimeStats.snapshot(),
+  responseCache: responseCache.snapshot(),
+  validation: validation.snapshot(),
+  defects: defects.snapshot(),
+  lifecycle: lifecycle.snapshot()
+});
+
+// State shared by all workers, held by the primary in cluster mode
+const sharedStats = () => ({
+  rateLimit: rateLimit.stats(),
+  search: searchIndex.stats(),
+  reportJobs: reports.snapshot(),
+  storage: {
+    backend: store.backend,
+    ...Object.fromEntries(COLLECTIONS.map(name => [name, store[name].stats()])),
+    locks: store.lockStats()
+  }
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+app.get('/metrics', validated, async (req, res, next) => {
+  let shared;
+  let workers;
+  try {
+    ({ shared, workers } = clusterMode.isWorker
+      ? await clusterMode.call('metrics')
+      : { shared: sharedStats(), workers: [processStats()] });
+  } catch (err) {
+    return next(err);
+  }
+
+  // Totals cover every worker; load, pool and faults are this process's view
+  const own = processStats();
+  const requests = sum(workers.map(w => w.requests));
+  const errors = sum(workers.map(w => w.errors));
   res.json({
-    totalRequests: metrics.requests,
-    totalErrors: metrics.errors,
-    errorRate: metrics.requests > 0 ? (metrics.errors / metrics.requests * 100).toFixed(2) + '%' : '0%',
-    requestsPerSecond: (metrics.requests / uptime).toFixed(2),
-    uptimeSeconds: Math.floor(uptime)
+    totalRequests: requests,
+    totalErrors: errors,
+    errorRate: requests > 0 ? (errors / requests * 100).toFixed(2) + '%' : '0%',
+    requestsPerSecond: sum(workers.map(w => w.requests / w.uptimeSeconds)).toFixed(2),
+    uptimeSeconds: Math.floor(own.uptimeSeconds),
+    rateLimitedRequests: sum(workers.map(w => w.rateLimited)),
+    rateLimit: shared.rateLimit,
+    dbPool: own.dbPool,
+    realtime: own.realtime,
+    accessLog: own.accessLog,
+    runtime: own.runtime,
+    responseCache: own.responseCache,
+    validation: own.validation,
+    defects: own.defects,
+    lifecycle: own.lifecycle,
+    idempotentReplays: sum(workers.map(w => w.idempotentReplays)),
+    load: own.load,
+    injectedFaults: own.injectedFaults,
+    search: shared.search,
+    reportJobs: shared.reportJobs,
+    storage: shared.storage,
+    ...(clusterMode.enabled && {
+      cluster: {
+        workers: clusterMode.WORKERS,
+        answeredBy: clusterMode.workerIndex,
+        perWorker: workers.map(w => ({
+          ...w,
+          uptimeSeconds: Math.floor(w.uptimeSeconds),
+          requestsPerSecond: (w.requests / w.uptimeSeconds).toFixed(2)
+        }))
+      }
+    })
   });
 });
 
 // Auth endpoints
-app.post('/api/auth/login', async (req, res) => {
+// Shared by REST and GraphQL handlers below: each returns { status, body }
+const loginUser = async (email, password) => {
   await simulateDbLatency(20);
 
-  const { email, password } = req.body;
   if (!email || !password) {
-    metrics.errors++;
-    return res.status(400).json({ error: 'Email and password required' });
+    return { status: 400, body: { error: 'Email and password required' } };
   }
 
-  const user = db.users.find(u => u.email === email);
+  const [user] = await store.users.find(u => u.email === email);
   if (!user || user.password !== password) {
-    metrics.errors++;
-    return res.status(401).json({ error: 'Invalid credentials' });
+    return { status: 401, body: { error: 'Invalid credentials' } };
   }
 
-  const token = jwt.sign(
-    { id: user.id, email: user.email },
-    JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+  return {
+    status: 200,
+    body: {
+      ...auth.issueTokens(user),
+      user: { id: user.id, email: user.email, name: user.name, role: user.role || 'customer' }
+    }
+  };
+};
+
+app.post('/api/auth/login', validated, async (req, res, next) => {
+  const { email, password } = req.body;
+  let result;
+  try {
+    result = await loginUser(email, password);
+  } catch (err) {
+    return next(err);
+  }
 
-  res.json({ token, user: { id: user.id, email: user.email, name: user.name } });
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
 });
 
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validated, async (req, res, next) => {
   await simulateDbLatency(30);
 
   const { email, password, name } = req.body;
@@ -178,233 +669,993 @@ app.post('/api/auth/register', async (req, res) => {
     return res.status(400).json({ error: 'All fields required' });
   }
 
-  if (db.users.find(u => u.email === email)) {
+  let user;
+  try {
+    user = await store.withLock('users', async () => {
+      const existing = await store.users.find(u => u.email === email);
+      if (existing.length > 0) return null;
+
+      const created = {
+        id: uuidv4(),
+        email,
+        password,
+        name,
+        role: 'customer',
+        createdAt: new Date().toISOString()
+      };
+      return store.users.put(created.id, created);
+    });
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!user) {
     metrics.errors++;
     return res.status(409).json({ error: 'Email already exists' });
   }
 
-  const user = {
-    id: uuidv4(),
-    email,
-    password,
-    name,
-    createdAt: new Date().toISOString()
-  };
-  db.users.push(user);
+  res.status(201).json({ ...auth.issueTokens(user), user: { id: user.id, email, name, role: user.role } });
+});
+
+// Exchanges a refresh token for a new token pair. Refresh tokens are single-use:
+// the presented one is revoked, so replaying it fails. The new tokens are
+// issued from the stored user, so they carry the user's current role.
+app.post('/api/auth/refresh', validated, async (req, res, next) => {
+  await simulateDbLatency(15);
 
-  const token = jwt.sign({ id: user.id, email }, JWT_SECRET, { expiresIn: '1h' });
-  res.status(201).json({ token, user: { id: user.id, email, name } });
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    metrics.errors++;
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  let payload;
+  try {
+    payload = auth.verify(refreshToken, 'refresh');
+  } catch (err) {
+    metrics.errors++;
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+
+  let result;
+  try {
+    result = await store.withLock(`refresh:${payload.jti}`, async () => {
+      if (await store.revokedTokens.get(payload.jti)) return { error: 'Refresh token revoked' };
+      const user = await store.users.get(payload.id);
+      if (!user) return { error: 'User not found' };
+      await revokeToken(payload);
+      return { tokens: auth.issueTokens(user) };
+    });
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.error) {
+    metrics.errors++;
+    return res.status(401).json({ error: result.error });
+  }
+  res.json(result.tokens);
 });
 
-// Products endpoints
-app.get('/api/products', async (req, res) => {
+// Revokes the access token used for the request, and the refresh token if given
+app.post('/api/auth/logout', authenticate, validated, async (req, res, next) => {
   await simulateDbLatency();
 
-  let products = [...db.products];
+  let refresh = null;
+  const { refreshToken } = req.body || {};
+  if (refreshToken) {
+    try {
+      refresh = auth.verify(refreshToken, 'refresh');
+    } catch (err) {
+      // An invalid or expired refresh token can't be used anyway
+    }
+  }
+
+  try {
+    if (refresh && refresh.id === req.user.id) {
+      await revokeToken(refresh);
+    }
+    await revokeToken(req.user);
+  } catch (err) {
+    return next(err);
+  }
+  res.status(204).end();
+});
+
+// Products endpoints
+// `query` holds the /api/products query-string parameters
+const PRODUCT_SORT_FIELDS = ['id', 'name', 'price', 'rating', 'reviews', 'stock', 'category'];
+
+// Lists products with `page` offsets or, from the nextCursor of an earlier
+// response, with `cursor` (see pagination.js). `sort` takes comma-separated
+// field:order pairs, e.g. "price:desc,rating:desc".
+const listProducts = async (query) => {
+  const errors = [];
+  const sortResult = pagination.parseSort(query.sort, PRODUCT_SORT_FIELDS);
+  if (sortResult.errors) errors.push(...sortResult.errors);
+  if (query.cursor !== undefined && query.page !== undefined) {
+    errors.push({ in: 'query', field: 'cursor', message: 'cannot be combined with page' });
+  }
+  if (errors.length > 0) {
+    return { status: 400, body: { error: 'Invalid query', details: errors } };
+  }
+
+  const { sort } = sortResult;
+  // Clamped here too: GraphQL calls this without the OpenAPI query validation
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  // Cursors are only valid for the filters they were issued with
+  const fingerprint = ['category', 'minPrice', 'maxPrice', 'search'].map(key => query[key] || '').join('|');
+
+  let cursorKey = null;
+  if (query.cursor !== undefined) {
+    const decoded = pagination.decodeCursor(query.cursor, sort, fingerprint);
+    if (decoded.error) {
+      return {
+        status: 400,
+        body: { error: 'Invalid query', details: [{ in: 'query', field: 'cursor', message: decoded.error }] }
+      };
+    }
+    cursorKey = decoded.key;
+  }
+
+  const page = cursorKey ? null : Math.max(parseInt(query.page) || 1, 1);
+  const startIndex = cursorKey ? 0 : (page - 1) * limit;
+  // A database walks past every skipped row; a cursor seeks straight to it
+  await simulateDbLatency(DB_LATENCY_MS + startIndex * DB_OFFSET_ROW_COST_MS);
+
+  let products = await store.products.all();
 
   // Filtering
-  if (req.query.category) {
-    products = products.filter(p => p.category === req.query.category);
+  if (query.category) {
+    products = products.filter(p => p.category === query.category);
   }
-  if (req.query.minPrice) {
-    products = products.filter(p => p.price >= parseFloat(req.query.minPrice));
+  if (query.minPrice) {
+    products = products.filter(p => p.price >= parseFloat(query.minPrice));
   }
-  if (req.query.maxPrice) {
-    products = products.filter(p => p.price <= parseFloat(req.query.maxPrice));
+  if (query.maxPrice) {
+    products = products.filter(p => p.price <= parseFloat(query.maxPrice));
   }
-  if (req.query.search) {
-    const search = req.query.search.toLowerCase();
+  if (query.search) {
+    const search = query.search.toLowerCase();
     products = products.filter(p =>
       p.name.toLowerCase().includes(search) ||
       p.description.toLowerCase().includes(search)
     );
   }
 
-  // Sorting
-  if (req.query.sort) {
-    const [field, order] = req.query.sort.split(':');
-    products.sort((a, b) => {
-      if (order === 'desc') return b[field] > a[field] ? 1 : -1;
-      return a[field] > b[field] ? 1 : -1;
-    });
+  const total = products.length;
+  const remaining = cursorKey
+    ? pagination.itemsAfter(products, sort, cursorKey)
+    : pagination.sortItems(products, sort).slice(startIndex);
+  const data = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  return {
+    status: 200,
+    body: {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore,
+        nextCursor: hasMore ? pagination.encodeCursor(data[data.length - 1], sort, fingerprint) : null
+      }
+    }
+  };
+};
+
+// Catalog responses are cached (see response-cache.js); `route` labels the
+// cache metrics
+const cachedCatalog = (route, productIdsOf, dependsOnStock) => responseCache.cached({
+  productIdsOf,
+  dependsOnStock,
+  onLookup: result => prometheus.responseCacheLookups.inc({ route, result }),
+  onNotModified: () => prometheus.notModifiedResponses.inc({ route })
+});
+
+// A stock change to any product can reorder a list sorted by stock
+const sortsByStock = req => String(req.query.sort || '').split(',')
+  .some(part => part.trim().split(':')[0] === 'stock');
+
+app.get('/api/products', validated, cachedCatalog('/api/products', body => body.data.map(p => p.id), sortsByStock), async (req, res, next) => {
+  let result;
+  try {
+    result = await listProducts(req.query);
+  } catch (err) {
+    return next(err);
   }
 
-  // Pagination
-  const page = parseInt(req.query.page) || 1;
-  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-  const startIndex = (page - 1) * limit;
-  const paginatedProducts = products.slice(startIndex, startIndex + limit);
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
+});
 
-  res.json({
-    data: paginatedProducts,
-    pagination: {
-      page,
-      limit,
-      total: products.length,
-      totalPages: Math.ceil(products.length / limit)
+const getProduct = async (id) => {
+  await simulateDbLatency();
+
+  const product = await store.products.get(id);
+  if (!product) {
+    return { status: 404, body: { error: 'Product not found' } };
+  }
+  return { status: 200, body: product };
+};
+
+app.get('/api/products/:id', validated, cachedCatalog('/api/products/:id', body => [body.id]), async (req, res, next) => {
+  let result;
+  try {
+    result = await getProduct(req.params.id);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
+});
+
+// Catalog management (admin only). Stock only changes through adjustments,
+// which can't take it below what carts have reserved. Deleting a product
+// leaves it in carts that hold it; their checkout then fails with a shortage.
+const PRODUCT_FIELDS = ['name', 'description', 'price', 'category', 'rating', 'reviews'];
+
+const pickProductFields = (input) => Object.fromEntries(
+  PRODUCT_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]])
+);
+
+const createProduct = async (input) => {
+  await simulateDbLatency(20);
+
+  // Locked on its own (not the inventory lock) so IDs stay unique even
+  // with INVENTORY_LOCKING=false
+  const product = await store.withLock('catalog', async () => {
+    const products = await store.products.all();
+    const nextId = products.reduce((max, p) => Math.max(max, parseInt(p.id) || 0), 0) + 1;
+    const created = {
+      id: String(nextId),
+      name: input.name,
+      description: input.description || '',
+      price: input.price,
+      stock: input.stock || 0,
+      reserved: 0,
+      category: input.category,
+      rating: input.rating || 0,
+      reviews: input.reviews || 0
+    };
+    return store.products.put(created.id, created);
+  });
+  return { status: 201, body: product };
+};
+
+// PUT must send name, description, price and category (see openapi.js);
+// PATCH changes only the fields given
+const updateProduct = async (id, input) => {
+  await simulateDbLatency(20);
+
+  return withInventoryLock(async () => {
+    const product = await store.products.get(id);
+    if (!product) {
+      return { status: 404, body: { error: 'Product not found' } };
+    }
+    const updated = { ...product, ...pickProductFields(input) };
+    await store.products.put(id, updated);
+    return { status: 200, body: updated };
+  });
+};
+
+const deleteProduct = async (id) => {
+  await simulateDbLatency(20);
+
+  const deleted = await withInventoryLock(async () => {
+    if (!await store.products.get(id)) return false;
+    await store.products.delete(id);
+    return true;
+  });
+  return deleted ? { status: 204 } : { status: 404, body: { error: 'Product not found' } };
+};
+
+// Adds `delta` (negative to remove) to a product's stock
+const adjustStock = async (id, delta) => {
+  await simulateDbLatency(15);
+
+  return withInventoryLock(async () => {
+    const product = await store.products.get(id);
+    if (!product) {
+      return { status: 404, body: { error: 'Product not found' } };
+    }
+    if (product.stock + delta < product.reserved) {
+      return {
+        status: 409,
+        body: { error: 'Stock cannot drop below reserved', stock: product.stock, reserved: product.reserved }
+      };
     }
+    product.stock += delta;
+    await store.products.put(id, product);
+    return { status: 200, body: product };
   });
+};
+
+app.post('/api/products', authenticateAdmin, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await createProduct(req.body);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.status !== 201) metrics.errors++;
+  res.status(result.status).json(result.body);
 });
 
-app.get('/api/products/:id', async (req, res) => {
-  await simulateDbLatency();
+const replaceOrUpdateProduct = async (req, res, next) => {
+  let result;
+  try {
+    result = await updateProduct(req.params.id, req.body);
+  } catch (err) {
+    return next(err);
+  }
 
-  const product = db.products.find(p => p.id === req.params.id);
-  if (!product) {
-    metrics.errors++;
-    return res.status(404).json({ error: 'Product not found' });
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
+};
+
+app.put('/api/products/:id', authenticateAdmin, validated, replaceOrUpdateProduct);
+app.patch('/api/products/:id', authenticateAdmin, validated, replaceOrUpdateProduct);
+
+app.delete('/api/products/:id', authenticateAdmin, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await deleteProduct(req.params.id);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.status === 204) return res.status(204).end();
+  metrics.errors++;
+  res.status(result.status).json(result.body);
+});
+
+app.post('/api/products/:id/stock', authenticateAdmin, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await adjustStock(req.params.id, req.body.delta);
+  } catch (err) {
+    return next(err);
   }
-  res.json(product);
+
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
 });
 
 // Cart endpoints
-app.get('/api/cart', authenticate, async (req, res) => {
+const getCart = async (userId) => {
   await simulateDbLatency();
 
-  const cart = db.carts.get(req.user.id) || { items: [], total: 0 };
-  res.json(cart);
+  const cart = await store.carts.get(userId) || emptyCart(userId);
+  defects.onCartAccess(userId, cart);
+  return { status: 200, body: cart };
+};
+
+app.get('/api/cart', authenticate, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await getCart(req.user.id);
+  } catch (err) {
+    return next(err);
+  }
+  res.status(result.status).json(result.body);
 });
 
-app.post('/api/cart/items', authenticate, async (req, res) => {
+const addCartItem = async (userId, rawProductId, quantity = 1) => {
   await simulateDbLatency(15);
 
-  const { productId, quantity = 1 } = req.body;
+  const productId = rawProductId !== undefined && rawProductId !== null ? String(rawProductId) : '';
   if (!productId) {
-    metrics.errors++;
-    return res.status(400).json({ error: 'Product ID required' });
+    return { status: 400, body: { error: 'Product ID required' } };
+  }
+  if (!isValidQuantity(quantity)) {
+    return { status: 400, body: { error: 'Quantity must be a positive integer' } };
   }
 
-  const product = db.products.find(p => p.id === productId);
-  if (!product) {
-    metrics.errors++;
-    return res.status(404).json({ error: 'Product not found' });
+  return withInventoryLock(async () => {
+    const product = await store.products.get(productId);
+    if (!product) {
+      return { status: 404, body: { error: 'Product not found' } };
+    }
+
+    const cart = await store.carts.get(userId) || emptyCart(userId);
+
+    let item = cart.items.find(i => i.productId === productId);
+    if (!item) {
+      item = {
+        productId,
+        name: product.name,
+        price: product.price,
+        quantity: 0,
+        reservedQuantity: 0,
+        reservedUntil: null
+      };
+    }
+
+    if (!inventory.reserve(product, item, item.quantity + quantity)) {
+      return {
+        status: 409,
+        body: {
+          error: 'Insufficient stock',
+          productId,
+          available: inventory.availableStock(product) + item.reservedQuantity
+        }
+      };
+    }
+
+    item.quantity += quantity;
+    if (!cart.items.includes(item)) {
+      cart.items.push(item);
+    }
+    updateCartTotal(cart);
+
+    await store.products.put(product.id, product);
+    await store.carts.put(userId, cart);
+    defects.onCartAccess(userId, cart);
+    return { status: 200, body: cart };
+  });
+};
+
+app.post('/api/cart/items', authenticate, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await addCartItem(req.user.id, req.body.productId, req.body.quantity);
+  } catch (err) {
+    return next(err);
   }
 
-  let cart = db.carts.get(req.user.id) || { items: [], total: 0 };
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
+});
 
-  const existingItem = cart.items.find(i => i.productId === productId);
-  if (existingItem) {
-    existingItem.quantity += quantity;
-  } else {
-    cart.items.push({
-      productId,
-      name: product.name,
-      price: product.price,
-      quantity
-    });
+// Sets an item's quantity, re-reserving stock for the new amount
+const setCartItemQuantity = async (userId, productId, quantity) => {
+  await simulateDbLatency(15);
+
+  if (!isValidQuantity(quantity)) {
+    return { status: 400, body: { error: 'Quantity must be a positive integer' } };
   }
 
-  cart.total = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  cart.total = Math.round(cart.total * 100) / 100;
+  return withInventoryLock(async () => {
+    const cart = await store.carts.get(userId);
+    const item = cart && cart.items.find(i => i.productId === productId);
+    if (!item) {
+      return { status: 404, body: { error: 'Item not in cart' } };
+    }
 
-  db.carts.set(req.user.id, cart);
-  res.json(cart);
-});
+    const product = await store.products.get(item.productId);
+    if (!product) {
+      return { status: 404, body: { error: 'Product not found' } };
+    }
+
+    if (!inventory.reserve(product, item, quantity)) {
+      return {
+        status: 409,
+        body: {
+          error: 'Insufficient stock',
+          productId: item.productId,
+          available: inventory.availableStock(product) + item.reservedQuantity
+        }
+      };
+    }
+
+    item.quantity = quantity;
+    updateCartTotal(cart);
+
+    await store.products.put(product.id, product);
+    await store.carts.put(userId, cart);
+    defects.onCartAccess(userId, cart);
+    return { status: 200, body: cart };
+  });
+};
+
+const updateCartItem = async (req, res, next) => {
+  let result;
+  try {
+    result = await setCartItemQuantity(req.user.id, req.params.productId, req.body.quantity);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
+};
+
+app.put('/api/cart/items/:productId', authenticate, validated, updateCartItem);
+app.patch('/api/cart/items/:productId', authenticate, validated, updateCartItem);
 
-app.delete('/api/cart/items/:productId', authenticate, async (req, res) => {
+app.delete('/api/cart/items/:productId', authenticate, validated, async (req, res, next) => {
   await simulateDbLatency();
 
-  let cart = db.carts.get(req.user.id);
+  let cart;
+  try {
+    cart = await withInventoryLock(async () => {
+      const cart = await store.carts.get(req.user.id);
+      if (!cart) return null;
+
+      const item = cart.items.find(i => i.productId === req.params.productId);
+      if (item) {
+        const product = await store.products.get(item.productId);
+        inventory.release(product, item);
+        if (product) await store.products.put(product.id, product);
+      }
+
+      cart.items = cart.items.filter(i => i.productId !== req.params.productId);
+      updateCartTotal(cart);
+      return store.carts.put(req.user.id, cart);
+    });
+  } catch (err) {
+    return next(err);
+  }
+
   if (!cart) {
     metrics.errors++;
     return res.status(404).json({ error: 'Cart not found' });
   }
+  res.json(cart);
+});
 
-  cart.items = cart.items.filter(i => i.productId !== req.params.productId);
-  cart.total = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-  cart.total = Math.round(cart.total * 100) / 100;
+// Empties the cart and releases all of its reservations
+app.delete('/api/cart', authenticate, validated, async (req, res, next) => {
+  await simulateDbLatency();
+
+  let cart;
+  try {
+    cart = await withInventoryLock(async () => {
+      const cart = await store.carts.get(req.user.id);
+      if (cart) {
+        const products = await loadProducts(cart.items);
+        cart.items.forEach(item => inventory.release(products.get(item.productId), item));
+        await saveProducts(products);
+      }
+      return store.carts.put(req.user.id, emptyCart(req.user.id));
+    });
+  } catch (err) {
+    return next(err);
+  }
 
-  db.carts.set(req.user.id, cart);
   res.json(cart);
 });
 
 // Orders endpoints
-app.post('/api/orders', authenticate, async (req, res) => {
-  await simulateDbLatency(50); // Orders are slower (payment processing simulation)
+const createOrder = async (userId, idempotencyKey) => {
+  if (INVENTORY_LOCKING) {
+    await simulateDbLatency(50); // Orders are slower (payment processing simulation)
+  }
+
+  return withInventoryLock(async () => {
+    const cart = await store.carts.get(userId);
+    if (!cart || cart.items.length === 0) {
+      return { status: 400, body: { error: 'Cart is empty' } };
+    }
 
-  const cart = db.carts.get(req.user.id);
-  if (!cart || cart.items.length === 0) {
+    const products = await loadProducts(cart.items);
+    const shortages = inventory.findShortages(cart.items, id => products.get(id));
+    if (shortages.length > 0) {
+      return { status: 409, body: { error: 'Insufficient stock', shortages } };
+    }
+
+    if (!INVENTORY_LOCKING) {
+      await simulateDbLatency(50);
+      // Re-read so the decrement applies to whatever stock is current now
+      const latest = await loadProducts(cart.items);
+      products.forEach((product, id) => products.set(id, latest.get(id)));
+    }
+    inventory.commit(cart.items, id => products.get(id));
+
+    const order = {
+      id: uuidv4(),
+      userId,
+      items: cart.items.map(({ productId, name, price, quantity }) => ({ productId, name, price, quantity })),
+      total: cart.total,
+      idempotencyKey: idempotencyKey || null,
+      createdAt: new Date().toISOString(),
+      ...orderLifecycle.newOrderFields()
+    };
+
+    await saveProducts(products);
+    await store.orders.put(order.id, order);
+    await store.carts.put(userId, emptyCart(userId));
+    processOrder(order);
+    return { status: 201, body: order };
+  });
+};
+
+app.post('/api/orders', authenticate, validated, async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key !== undefined && !idempotency.isValidKey(key)) {
     metrics.errors++;
-    return res.status(400).json({ error: 'Cart is empty' });
+    return res.status(400).json({ error: 'Idempotency-Key must be 1-255 characters' });
   }
 
-  const order = {
-    id: uuidv4(),
-    userId: req.user.id,
-    items: [...cart.items],
-    total: cart.total,
-    status: 'confirmed',
-    createdAt: new Date().toISOString()
-  };
-
-  db.orders.push(order);
-  db.carts.set(req.user.id, { items: [], total: 0 });
+  let result;
+  try {
+    result = key === undefined
+      ? await createOrder(req.user.id)
+      : await withIdempotency(req.user.id, key, req.body, () => createOrder(req.user.id, key));
+  } catch (err) {
+    return next(err);
+  }
 
-  res.status(201).json(order);
+  if (result.status !== 201) metrics.errors++;
+  if (result.replayed) res.set('Idempotent-Replayed', 'true');
+  res.status(result.status).json(result.body);
 });
 
-app.get('/api/orders', authenticate, async (req, res) => {
+const listOrders = async (userId) => {
   await simulateDbLatency();
 
-  const orders = db.orders.filter(o => o.userId === req.user.id);
-  res.json({ data: orders, total: orders.length });
-});
+  const orders = await store.orders.find(o => o.userId === userId);
+  return { status: 200, body: { data: orders, total: orders.length } };
+};
 
-app.get('/api/orders/:id', authenticate, async (req, res) => {
+const getOrder = async (userId, orderId) => {
   await simulateDbLatency();
 
-  const order = db.orders.find(o => o.id === req.params.id && o.userId === req.user.id);
-  if (!order) {
-    metrics.errors++;
-    return res.status(404).json({ error: 'Order not found' });
+  const order = await store.orders.get(orderId);
+  if (!order || order.userId !== userId) {
+    return { status: 404, body: { error: 'Order not found' } };
+  }
+  return { status: 200, body: order };
+};
+
+app.get('/api/orders', authenticate, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await listOrders(req.user.id);
+  } catch (err) {
+    return next(err);
   }
-  res.json(order);
+  res.status(result.status).json(result.body);
+});
+
+app.get('/api/orders/:id', authenticate, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await getOrder(req.user.id, req.params.id);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
+});
+
+const cancelOrder = async (userId, orderId) => {
+  await simulateDbLatency(20);
+
+  const order = await store.orders.get(orderId);
+  if (!order || order.userId !== userId) {
+    return { status: 404, body: { error: 'Order not found' } };
+  }
+
+  const cancelled = await advanceOrder(order.id, 'cancelled', { reason: 'Cancelled by customer' });
+  if (!cancelled) {
+    const current = await store.orders.get(order.id);
+    return { status: 409, body: { error: `Order cannot be cancelled once ${current.status}`, status: current.status } };
+  }
+  return { status: 200, body: cancelled };
+};
+
+app.post('/api/orders/:id/cancel', authenticate, validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await cancelOrder(req.user.id, req.params.id);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (result.status !== 200) metrics.errors++;
+  res.status(result.status).json(result.body);
 });
 
 // Search endpoint (heavier operation)
-app.get('/api/search', async (req, res) => {
+// Runs a parsed search where the index lives (see search-index.js); scan
+// mode reads the whole catalog for every query
+const runSearch = async (params) => searchIndex.search(
+  params,
+  searchIndex.SEARCH_MODE === 'scan' ? await store.products.all() : null
+);
+
+const parsePrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+};
+
+const searchProducts = async (query) => {
   await simulateDbLatency(30); // Search is slower
 
-  const { q } = req.query;
-  if (!q || q.length < 2) {
-    return res.json({ products: [], total: 0 });
+  // Queries under 2 characters match nothing
+  const q = typeof query.q === 'string' && query.q.trim().length >= 2 ? query.q : '';
+  const params = {
+    q,
+    category: query.category ? String(query.category) : null,
+    minPrice: parsePrice(query.minPrice),
+    maxPrice: parsePrice(query.maxPrice),
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+  };
+
+  const body = clusterMode.isWorker ? await clusterMode.call('search', params) : await runSearch(params);
+  return { status: 200, body };
+};
+
+app.get('/api/search', validated, async (req, res, next) => {
+  let result;
+  try {
+    result = await searchProducts(req.query);
+  } catch (err) {
+    return next(err);
+  }
+  res.status(result.status).json(result.body);
+});
+
+// Sales reports (see reports.js): small ranges are answered directly, large
+// ones (or mode=job) become jobs to poll
+const REPORT_CHUNK_DAYS = 7;
+
+// Orders that count as sales, and the range a report over them covers
+const loadSalesOrders = async (params) => {
+  const orders = (await store.orders.all())
+    .filter(o => !orderLifecycle.RESTOCKING_STATUSES.includes(o.status));
+  return { orders, range: reports.resolveRange(params, orders) };
+};
+
+const productsForGrouping = async (groupBy) => (groupBy === 'category'
+  ? new Map((await store.products.all()).map(p => [p.id, p]))
+  : new Map());
+
+// Job body: scans the range a week at a time, reporting progress, so a long
+// report never holds the event loop and can be polled while it runs
+const runSalesReportJob = async (params, onProgress) => {
+  const { orders, range } = await loadSalesOrders(params);
+  await simulateDbLatency(reports.costMs(0));
+  for (let done = 0; done < range.days; done += REPORT_CHUNK_DAYS) {
+    await simulateDbLatency(Math.min(REPORT_CHUNK_DAYS, range.days - done) * reports.REPORT_DAY_COST_MS);
+    onProgress(Math.min(done + REPORT_CHUNK_DAYS, range.days) / range.days);
+  }
+  return reports.salesReport(orders, range, params.groupBy, await productsForGrouping(params.groupBy));
+};
+
+// Jobs live where the store is: in the primary in cluster mode
+const submitReportJob = ({ userId, params }) =>
+  reports.submit(userId, params, onProgress => runSalesReportJob(params, onProgress));
+
+const REPORT_REJECTIONS = {
+  'user-limit': { status: 429, error: 'Too many unfinished report jobs' },
+  'queue-full': { status: 503, error: 'Report job queue is full' }
+};
+
+app.get('/api/reports/sales', authenticate, validated, async (req, res, next) => {
+  const parsed = reports.parseQuery(req.query);
+  if (parsed.errors) {
+    metrics.errors++;
+    return res.status(400).json({ error: 'Invalid query', details: parsed.errors });
   }
+  const { params } = parsed;
 
-  const searchTerm = q.toLowerCase();
-  const results = db.products.filter(p =>
-    p.name.toLowerCase().includes(searchTerm) ||
-    p.description.toLowerCase().includes(searchTerm) ||
-    p.category.toLowerCase().includes(searchTerm)
-  ).slice(0, 50);
+  try {
+    const { orders, range } = await loadSalesOrders(params);
+    if (!reports.needsJob(params, range)) {
+      await simulateDbLatency(reports.costMs(range.days));
+      const products = await productsForGrouping(params.groupBy);
+      return res.json(reports.salesReport(orders, range, params.groupBy, products));
+    }
 
-  res.json({ products: results, total: results.length });
+    const submission = clusterMode.isWorker
+      ? await clusterMode.call('report.submit', { userId: req.user.id, params })
+      : submitReportJob({ userId: req.user.id, params });
+    if (submission.rejected) {
+      const { status, error } = REPORT_REJECTIONS[submission.rejected];
+      metrics.errors++;
+      res.set('Retry-After', '5');
+      return res.status(status).json({ error });
+    }
+    res.set('Location', submission.job.statusUrl);
+    res.set('Retry-After', '1');
+    res.status(202).json(submission.job);
+  } catch (err) {
+    next(err);
+  }
 });
 
-// Slow endpoint for testing (simulates report generation)
-app.get('/api/reports/sales', authenticate, async (req, res) => {
-  await simulateDbLatency(200); // Heavy operation
+const findReportJob = (type, userId, id) => (clusterMode.isWorker
+  ? clusterMode.call(type, { userId, id })
+  : type === 'report.job' ? reports.getJob(userId, id) : reports.getResult(userId, id));
 
-  const totalSales = db.orders.reduce((sum, o) => sum + o.total, 0);
-  const orderCount = db.orders.length;
+app.get('/api/reports/jobs/:id', authenticate, validated, async (req, res, next) => {
+  let job;
+  try {
+    job = await findReportJob('report.job', req.user.id, req.params.id);
+  } catch (err) {
+    return next(err);
+  }
 
-  res.json({
-    totalSales: Math.round(totalSales * 100) / 100,
-    orderCount,
-    averageOrderValue: orderCount > 0 ? Math.round((totalSales / orderCount) * 100) / 100 : 0,
-    generatedAt: new Date().toISOString()
-  });
+  if (!job) {
+    metrics.errors++;
+    return res.status(404).json({ error: 'Report job not found' });
+  }
+  if (job.status === 'queued' || job.status === 'running') res.set('Retry-After', '1');
+  res.json(job);
+});
+
+// Downloads a completed job's report
+app.get('/api/reports/jobs/:id/result', authenticate, validated, async (req, res, next) => {
+  let found;
+  try {
+    found = await findReportJob('report.result', req.user.id, req.params.id);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!found) {
+    metrics.errors++;
+    return res.status(404).json({ error: 'Report job not found' });
+  }
+  const { job, result } = found;
+  if (job.status !== 'completed') {
+    metrics.errors++;
+    if (job.status !== 'failed') res.set('Retry-After', '1');
+    return res.status(409).json({ error: `Report job is ${job.status}`, status: job.status });
+  }
+  res.set('Content-Disposition', `attachment; filename="sales-report-${result.from}-${result.to}.json"`);
+  res.json(result);
 });
 
+// GraphQL: the catalog, cart and checkout operations above over one endpoint
+const checkout = (userId, key) => {
+  if (key === undefined || key === null) return createOrder(userId);
+  if (!idempotency.isValidKey(key)) {
+    return { status: 400, body: { error: 'Idempotency-Key must be 1-255 characters' } };
+  }
+  return withIdempotency(userId, key, {}, () => createOrder(userId, key));
+};
+
+const graphqlHandler = createGraphqlHandler({
+  verifyBearer: authHeader => tracing.measure('auth', verifyBearer(authHeader)),
+  loginUser,
+  listProducts,
+  getProduct,
+  searchProducts,
+  getCart,
+  addCartItem,
+  listOrders,
+  getOrder,
+  checkout
+}, {
+  onErrors: () => metrics.errors++
+});
+
+app.get('/graphql', graphqlHandler);
+app.post('/graphql', graphqlHandler);
+
 // Error handler
 app.use((err, req, res, next) => {
   metrics.errors++;
-  console.error(err.stack);
+  // express.json() couldn't parse the body: the client's mistake, answered
+  // like any other invalid request
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      details: [{ in: 'body', field: '(root)', message: 'must be valid JSON' }]
+    });
+  }
+  console.error(`[${req.id}] ${err.stack}`);
   res.status(500).json({ error: 'Internal Server Error' });
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`E-commerce API running on http://localhost:${PORT}`);
-  console.log(`Products: ${db.products.length}, Users: ${db.users.length}`);
+
+// Stock and order-status events from the store go to WebSocket subscribers;
+// in cluster mode the primary sees every write and forwards to the workers
+const publishEvent = clusterMode.isPrimary
+  ? event => clusterMode.broadcast('realtime.publish', event)
+  : realtime.publish;
+
+// Product writes invalidate cached catalog responses, on every worker
+const invalidateCache = clusterMode.isPrimary
+  ? productId => clusterMode.broadcast('cache.invalidate', productId)
+  : responseCache.invalidate;
+
+const attachRealtime = (server) => realtime.attach(server, {
+  verifyBearer,
+  onDelivered: (type, count) => prometheus.websocketDeliveries.inc({ type }, count)
+});
+
+const startBackgroundJobs = () => {
+  setInterval(() => releaseExpiredReservations().catch(err => console.error(err.stack)), 5000).unref();
+  setInterval(() => purgeExpiredRevocations().catch(err => console.error(err.stack)), 60000).unref();
+  setInterval(() => rateLimit.evictIdle(), 30000).unref();
+  setInterval(() => purgeIdempotencyKeys().catch(err => console.error(err.stack)), 60000).unref();
+  setInterval(() => reports.purgeExpired(), 60000).unref();
+};
+
+// The primary serves no HTTP itself: it owns the store, locks and rate-limit
+// buckets, runs the background jobs and answers the workers
+const startPrimary = async () => {
+  const releaseLocks = serveStore(store, clusterMode.handle);
+  clusterMode.handle('rateLimit.take', request => rateLimit.take(request));
+  clusterMode.handle('search', runSearch);
+  clusterMode.handle('order.process', order => { scheduleOrderProcessing(order); });
+  clusterMode.handle('report.submit', submitReportJob);
+  clusterMode.handle('report.job', ({ userId, id }) => reports.getJob(userId, id));
+  clusterMode.handle('report.result', ({ userId, id }) => reports.getResult(userId, id));
+  clusterMode.handle('reset', ({ seed: requestedSeed }) =>
+    resetStore(requestedSeed === undefined ? currentSeed : requestedSeed));
+  clusterMode.handle('metrics', async () => ({
+    shared: sharedStats(),
+    workers: await clusterMode.callAllWorkers('processStats')
+  }));
+  clusterMode.startPrimary({
+    onWorkerExit: releaseLocks,
+    onStop: () => store.close(),
+    // Workers drain on their own clock; this only bounds a stuck one
+    stopTimeoutMs: lifecycle.DRAIN_DELAY_MS + lifecycle.DRAIN_TIMEOUT_MS + 5000
+  });
+
+  console.log(`E-commerce API running on http://localhost:${PORT} with ${clusterMode.WORKERS} workers`);
+  console.log(`Storage: ${store.backend}, Seed: ${currentSeed === null ? 'random' : currentSeed}, Products: ${await store.products.count()}, Users: ${await store.users.count()}`);
   console.log('Test user: user1@test.com / password123');
+};
+
+const startWorker = () => {
+  store = createRemoteStore(clusterMode.call);
+  clusterMode.handle('processStats', processStats);
+  clusterMode.handle('realtime.publish', realtime.publish);
+  clusterMode.handle('cache.invalidate', responseCache.invalidate);
+  clusterMode.handle('order.transition', countTransition);
+  prometheus.register.setDefaultLabels({ worker: String(clusterMode.workerIndex) });
+  accessLog.start(clusterMode.workerIndex);
+  const server = app.listen(PORT, () => {
+    console.log(`Worker ${clusterMode.workerIndex} (pid ${process.pid}) listening`);
+    lifecycle.markListening(clusterMode.reportReady);
+  });
+  const wss = attachRealtime(server);
+  // The primary decides when to give up on a worker that won't drain
+  lifecycle.onSignals(async () => {
+    const { abandoned, durationMs } = await lifecycle.drain(server, wss);
+    console.log(`Worker ${clusterMode.workerIndex} drained in ${durationMs}ms (${abandoned} requests cut off)`);
+    await accessLog.stop();
+  }, { force: false });
+};
+
+const start = async () => {
+  if (clusterMode.isWorker) return startWorker();
+
+  store = await createStore();
+  await seedStore();
+  store = realtime.observeStore(store, publishEvent);
+  store = responseCache.observeStore(store, invalidateCache);
+  store = searchIndex.observeStore(store);
+  searchIndex.rebuild(await store.products.all());
+  await resumeOrderProcessing();
+  startBackgroundJobs();
+  if (clusterMode.isPrimary) return startPrimary();
+
+  accessLog.start();
+  const server = app.listen(PORT, async () => {
+    lifecycle.markListening(() => {
+      if (lifecycle.WARMUP_SECONDS > 0) console.log('Warm-up done, ready for traffic');
+    });
+    console.log(`E-commerce API running on http://localhost:${PORT}`);
+    console.log(`Storage: ${store.backend}, Seed: ${currentSeed === null ? 'random' : currentSeed}, Products: ${await store.products.count()}, Users: ${await store.users.count()}`);
+    console.log('Test user: user1@test.com / password123');
+  });
+  const wss = attachRealtime(server);
+  lifecycle.onSignals(async signal => {
+    console.log(`${signal} received, draining`);
+    const { abandoned, durationMs } = await lifecycle.drain(server, wss);
+    console.log(`Drained in ${durationMs}ms (${abandoned} requests cut off)`);
+    await accessLog.stop();
+    await store.close();
+  });
+};
+
+start().catch(err => {
+  console.error(err.stack);
+  process.exit(1);
 });
@@ -0,0 +1,4 @@
+// Collections every storage backend provides
+const COLLECTIONS = ['products', 'users', 'carts', 'orders', 'revokedTokens', 'idempotencyKeys'];
+
+module.exports = { COLLECTIONS };
@@ -0,0 +1,206 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { createLocks } = require('./lock');
+const { COLLECTIONS } = require('./collections');
+
+// File-backed backend
+//
+// Each collection is an append-only JSON-lines journal (`<name>.jsonl`). Every
+// write appends a line and every read goes to disk at the offset kept in an
+// in-memory index, so storage cost grows with the data set like a real store.
+// Writes to a collection are serialized. Once the journal is mostly stale
+// entries it is compacted into a fresh file.
+const COMPACT_MIN_BYTES = parseInt(process.env.FILE_STORE_COMPACT_MIN_BYTES || String(4 * 1024 * 1024));
+const NEWLINE = 0x0a;
+
+// Rebuilds the index from a journal, dropping a trailing partial line left by a crash
+const replay = (buffer) => {
+  const index = new Map();
+  let liveBytes = 0;
+  let start = 0;
+
+  while (start < buffer.length) {
+    const end = buffer.indexOf(NEWLINE, start);
+    if (end === -1) break;
+    const entry = JSON.parse(buffer.subarray(start, end).toString('utf8'));
+    const previous = index.get(entry.k);
+    if (previous) liveBytes -= previous.length + 1;
+    if (entry.d) {
+      index.delete(entry.k);
+    } else {
+      index.set(entry.k, { offset: start, length: end - start });
+      liveBytes += end - start + 1;
+    }
+    start = end + 1;
+  }
+
+  return { index, liveBytes, size: start };
+};
+
+const createFileCollection = async (filePath, { fsync }) => {
+  let existing = Buffer.alloc(0);
+  try {
+    existing = await fs.readFile(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const replayed = replay(existing);
+  if (replayed.size < existing.length) {
+    await fs.truncate(filePath, replayed.size);
+  }
+
+  // A generation is one journal file. Compaction swaps in a new generation;
+  // the old handle is closed once in-flight reads are done with it.
+  let current = {
+    handle: await fs.open(filePath, 'a+'),
+    index: replayed.index,
+    size: replayed.size,
+    liveBytes: replayed.liveBytes,
+    readers: 0,
+    retired: false
+  };
+  let queue = Promise.resolve();
+  const counters = { reads: 0, writes: 0, compactions: 0 };
+
+  const serialize = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const withReader = async (fn, generation = current) => {
+    generation.readers++;
+    try {
+      return await fn(generation);
+    } finally {
+      generation.readers--;
+      if (generation.retired && generation.readers === 0) {
+        await generation.handle.close();
+      }
+    }
+  };
+
+  const decode = (buffer) => JSON.parse(buffer.toString('utf8')).v;
+
+  const readAll = (generation) => withReader(async () => {
+    const buffer = Buffer.alloc(generation.size);
+    await generation.handle.read(buffer, 0, generation.size, 0);
+    return buffer;
+  }, generation);
+
+  const compact = async () => {
+    const generation = current;
+    const buffer = await readAll(generation);
+    const index = new Map();
+    const lines = [];
+    let offset = 0;
+
+    for (const [id, location] of generation.index) {
+      lines.push(buffer.subarray(location.offset, location.offset + location.length + 1));
+      index.set(id, { offset, length: location.length });
+      offset += location.length + 1;
+    }
+
+    const tmpPath = `${filePath}.compact`;
+    await fs.writeFile(tmpPath, Buffer.concat(lines));
+    await fs.rename(tmpPath, filePath);
+
+    current = {
+      handle: await fs.open(filePath, 'a+'),
+      index,
+      size: offset,
+      liveBytes: offset,
+      readers: 0,
+      retired: false
+    };
+    counters.compactions++;
+
+    generation.retired = true;
+    if (generation.readers === 0) {
+      await generation.handle.close();
+    }
+  };
+
+  const append = (id, entry) => serialize(async () => {
+    const generation = current;
+    const buffer = Buffer.from(JSON.stringify(entry) + '\n');
+    await generation.handle.write(buffer);
+    if (fsync) await generation.handle.sync();
+    counters.writes++;
+
+    const previous = generation.index.get(id);
+    if (previous) generation.liveBytes -= previous.length + 1;
+    if (entry.d) {
+      generation.index.delete(id);
+    } else {
+      generation.index.set(id, { offset: generation.size, length: buffer.length - 1 });
+      generation.liveBytes += buffer.length;
+    }
+    generation.size += buffer.length;
+
+    if (generation.size > COMPACT_MIN_BYTES && generation.size > generation.liveBytes * 2) {
+      await compact();
+    }
+    return previous !== undefined;
+  });
+
+  const all = async () => {
+    const generation = current;
+    const locations = [...generation.index.values()];
+    const buffer = await readAll(generation);
+    counters.reads++;
+    return locations.map(({ offset, length }) => decode(buffer.subarray(offset, offset + length)));
+  };
+
+  return {
+    get: (id) => withReader(async (generation) => {
+      const location = generation.index.get(id);
+      if (!location) return null;
+      counters.reads++;
+      const buffer = Buffer.alloc(location.length);
+      await generation.handle.read(buffer, 0, location.length, location.offset);
+      return decode(buffer);
+    }),
+    all,
+    find: async (predicate) => (await all()).filter(predicate),
+    count: async () => current.index.size,
+    put: async (id, record) => {
+      await append(id, { k: id, v: record });
+      return record;
+    },
+    delete: (id) => append(id, { k: id, d: 1 }),
+    clear: () => serialize(async () => {
+      await current.handle.truncate(0);
+      current.index.clear();
+      current.size = 0;
+      current.liveBytes = 0;
+      counters.writes++;
+    }),
+    close: () => serialize(() => current.handle.close()),
+    stats: () => ({ records: current.index.size, bytes: current.size, ...counters })
+  };
+};
+
+const createFileStore = async ({
+  dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data'),
+  fsync = process.env.FILE_STORE_FSYNC === 'true'
+} = {}) => {
+  await fs.mkdir(dataDir, { recursive: true });
+  const open = (name) => createFileCollection(path.join(dataDir, `${name}.jsonl`), { fsync });
+  const locks = createLocks();
+
+  const store = {
+    backend: 'file',
+    dataDir,
+    withLock: locks.withLock,
+    lockStats: locks.stats,
+    close: () => Promise.all(COLLECTIONS.map(name => store[name].close()))
+  };
+  for (const name of COLLECTIONS) {
+    store[name] = await open(name);
+  }
+  return store;
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,24 @@
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRemoteStore, serveStore } = require('./remote');
+const { COLLECTIONS } = require('./collections');
+
+// Repository layer
+//
+// Every backend exposes the same collections (see collections.js), each with
+// async get/all/find/count/put/delete/clear, plus `withLock(name, fn)` for
+// read-modify-write sequences that must not interleave.
+const BACKENDS = {
+  memory: createMemoryStore,
+  file: createFileStore
+};
+
+const createStore = async (backend = process.env.STORAGE_BACKEND || 'memory') => {
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+  return create();
+};
+
+module.exports = { createStore, createRemoteStore, serveStore, COLLECTIONS };
@@ -0,0 +1,37 @@
+// Named async mutexes
+//
+// Each caller waits for the previous holder of the same name, so critical
+// sections run one at a time in arrival order. Wait times are tracked to make
+// lock contention visible in /metrics.
+const createLocks = () => {
+  const tails = new Map();
+  const stats = { acquired: 0, contended: 0, waiting: 0, totalWaitMs: 0 };
+
+  const withLock = async (name, fn) => {
+    const previous = tails.get(name);
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    tails.set(name, current);
+    stats.acquired++;
+
+    if (previous) {
+      const start = Date.now();
+      stats.contended++;
+      stats.waiting++;
+      await previous;
+      stats.waiting--;
+      stats.totalWaitMs += Date.now() - start;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(name) === current) tails.delete(name);
+    }
+  };
+
+  return { withLock, stats: () => ({ ...stats }) };
+};
+
+module.exports = { createLocks };
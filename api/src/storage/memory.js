@@ -0,0 +1,54 @@
+const { createLocks } = require('./lock');
+const { COLLECTIONS } = require('./collections');
+
+// In-memory backend. Records are returned by reference for speed, but callers
+// must still put() every change so they behave the same on other backends.
+const createMemoryCollection = () => {
+  const records = new Map();
+  let reads = 0;
+  let writes = 0;
+
+  return {
+    get: async (id) => {
+      reads++;
+      return records.get(id) || null;
+    },
+    all: async () => {
+      reads++;
+      return [...records.values()];
+    },
+    find: async (predicate) => {
+      reads++;
+      return [...records.values()].filter(predicate);
+    },
+    count: async () => records.size,
+    put: async (id, record) => {
+      writes++;
+      records.set(id, record);
+      return record;
+    },
+    delete: async (id) => {
+      writes++;
+      return records.delete(id);
+    },
+    clear: async () => {
+      writes++;
+      records.clear();
+    },
+    stats: () => ({ records: records.size, reads, writes })
+  };
+};
+
+const createMemoryStore = async () => {
+  const locks = createLocks();
+  const store = {
+    backend: 'memory',
+    withLock: locks.withLock,
+    lockStats: locks.stats,
+    close: async () => {}
+  };
+  COLLECTIONS.forEach(name => { store[name] = createMemoryCollection(); });
+  return store;
+};
+
+module.exports = { createMemoryStore };
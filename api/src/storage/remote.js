@@ -0,0 +1,95 @@
+const { COLLECTIONS } = require('./collections');
+
+// Remote backend for cluster workers
+//
+// The primary process keeps the real store (memory or file) and serves it
+// with serveStore(); workers use createRemoteStore(), which forwards every
+// operation over the cluster IPC channel. Predicates can't cross a process
+// boundary, so find() fetches all records and filters locally. Locks are
+// held in the primary's lock table, so a lock taken in one worker excludes
+// all the others.
+const createRemoteCollection = (call, collection) => {
+  let calls = 0;
+  const op = (name, ...args) => {
+    calls++;
+    return call('store', { collection, op: name, args });
+  };
+
+  return {
+    get: (id) => op('get', id),
+    all: () => op('all'),
+    find: async (predicate) => (await op('all')).filter(predicate),
+    count: () => op('count'),
+    put: (id, record) => op('put', id, record),
+    delete: (id) => op('delete', id),
+    clear: () => op('clear'),
+    stats: () => ({ remoteCalls: calls })
+  };
+};
+
+const createRemoteStore = (call) => {
+  const withLock = async (name, fn) => {
+    const token = await call('lock.acquire', { name });
+    try {
+      return await fn();
+    } finally {
+      await call('lock.release', { token });
+    }
+  };
+
+  const store = {
+    backend: 'remote',
+    withLock,
+    lockStats: () => ({}),
+    close: async () => {}
+  };
+  COLLECTIONS.forEach(name => { store[name] = createRemoteCollection(call, name); });
+  return store;
+};
+
+const OPERATIONS = ['get', 'all', 'count', 'put', 'delete', 'clear'];
+
+// Answers remote store calls from workers. Returns `releaseLocks(worker)` to
+// free the locks of a worker that died while holding them. Locks are held by
+// cluster worker id, not index: a replacement worker takes over its
+// predecessor's index while the predecessor may still be running, and its
+// locks must survive the predecessor's exit.
+const serveStore = (store, handle) => {
+  const held = new Map();
+  let nextToken = 1;
+
+  handle('store', ({ collection, op, args }) => {
+    if (!COLLECTIONS.includes(collection) || !OPERATIONS.includes(op)) {
+      throw new Error(`Unknown store operation ${collection}.${op}`);
+    }
+    return store[collection][op](...args);
+  });
+
+  // Resolves once the lock is granted; the primary holds it on the worker's
+  // behalf until lock.release
+  handle('lock.acquire', ({ name }, worker) => new Promise((granted, failed) => {
+    store.withLock(name, () => new Promise(release => {
+      if (!worker.isConnected()) return release();
+      const token = nextToken++;
+      held.set(token, { release, worker: worker.id });
+      granted(token);
+    })).catch(failed);
+  }));
+
+  handle('lock.release', ({ token }) => {
+    const lock = held.get(token);
+    if (!lock) return;
+    held.delete(token);
+    lock.release();
+  });
+
+  return (worker) => {
+    held.forEach((lock, token) => {
+      if (lock.worker !== worker.id) return;
+      held.delete(token);
+      lock.release();
+    });
+  };
+};
+
+module.exports = { createRemoteStore, serveStore };
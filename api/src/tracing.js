@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Request correlation and per-phase timing
+//
+// Every request gets an X-Request-Id (the client's, if it sent a sane one)
+// and a W3C traceparent continuing the client's trace, or starting a new
+// one. Time spent in each phase (rate limiting, auth, pool wait, injected
+// faults, simulated DB latency, serialization) is collected per request and
+// returned in a Server-Timing header, with `app` for whatever is left and
+// `total` for the whole request. The current request's timings are found
+// through AsyncLocalStorage, so helpers deep in a handler can record a phase
+// without being passed the request.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const ZERO_TRACE_ID = '0'.repeat(32);
+const ZERO_SPAN_ID = '0'.repeat(16);
+
+const PHASES = ['ratelimit', 'auth', 'pool', 'fault', 'db', 'serialize'];
+
+const storage = new AsyncLocalStorage();
+
+const now = () => Number(process.hrtime.bigint()) / 1e6;
+
+const createTimings = () => {
+  const startedAt = now();
+  const durations = new Map();
+  const open = new Map();
+
+  const add = (phase, ms) => durations.set(phase, (durations.get(phase) || 0) + ms);
+
+  return {
+    add,
+    // Returns a function that ends the phase; phases still open when the
+    // response starts are ended then
+    start: (phase) => {
+      const started = now();
+      const token = Symbol(phase);
+      open.set(token, { phase, started });
+      return () => {
+        if (!open.delete(token)) return;
+        add(phase, now() - started);
+      };
+    },
+    header: () => {
+      const at = now();
+      open.forEach(({ phase, started }) => add(phase, at - started));
+      open.clear();
+
+      const total = at - startedAt;
+      let measured = 0;
+      const entries = [];
+      for (const phase of PHASES) {
+        if (!durations.has(phase)) continue;
+        measured += durations.get(phase);
+        entries.push(`${phase};dur=${durations.get(phase).toFixed(2)}`);
+      }
+      entries.push(`app;dur=${Math.max(0, total - measured).toFixed(2)}`);
+      entries.push(`total;dur=${total.toFixed(2)}`);
+      return entries.join(', ');
+    }
+  };
+};
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+// Continues the caller's trace when it sent a valid traceparent
+const traceContext = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(header || '');
+  const valid = match && match[1] !== ZERO_TRACE_ID && match[2] !== ZERO_SPAN_ID;
+  return {
+    traceId: valid ? match[1] : randomHex(16),
+    parentId: valid ? match[2] : null,
+    spanId: randomHex(8),
+    flags: valid ? match[3] : '01'
+  };
+};
+
+const tracingMiddleware = (req, res, next) => {
+  const clientId = req.get('X-Request-Id');
+  req.id = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+  req.trace = traceContext(req.get('traceparent'));
+  req.timings = createTimings();
+
+  res.set('X-Request-Id', req.id);
+  res.set('traceparent', `00-${req.trace.traceId}-${req.trace.spanId}-${req.trace.flags}`);
+
+  // Server-Timing has to be set just before the headers go out
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (!this.headersSent) this.setHeader('Server-Timing', req.timings.header());
+    return writeHead.apply(this, args);
+  };
+
+  // Same as Express's res.json, with the stringify timed
+  res.json = function (body) {
+    const started = now();
+    const payload = JSON.stringify(body);
+    req.timings.add('serialize', now() - started);
+    if (!this.get('Content-Type')) this.set('Content-Type', 'application/json');
+    return this.send(payload);
+  };
+
+  storage.run(req.timings, next);
+};
+
+// Wraps a middleware so the time until it calls next() (or responds)
+// counts towards `phase`
+const timed = (phase, middleware) => (req, res, next) => {
+  const end = req.timings ? req.timings.start(phase) : () => {};
+  return middleware(req, res, (err) => {
+    end();
+    next(err);
+  });
+};
+
+// Records how long `promise` takes against `phase` of the current request
+const measure = async (phase, promise) => {
+  const timings = storage.getStore();
+  if (!timings) return promise;
+  const end = timings.start(phase);
+  try {
+    return await promise;
+  } finally {
+    end();
+  }
+};
+
+module.exports = {
+  tracingMiddleware,
+  timed,
+  measure
+};
@@ -0,0 +1,262 @@
+// Request and response validation against the OpenAPI document
+//
+// Schemas are checked by a small JSON Schema subset: type (including
+// "null" and lists of types), enum, properties, required,
+// additionalProperties, items, minimum/maximum, minLength/maxLength,
+// pattern, minItems and $ref to components/schemas. That is all the
+// document in openapi.js uses.
+//
+// requestValidator() is added to each route after authentication, so
+// unauthenticated requests still get 401 first. It checks path, query and
+// header parameters (coerced from strings to their schema type) and JSON
+// bodies, answering 400 with one { in, field, message } per problem.
+//
+// RESPONSE_VALIDATION=warn checks every JSON response a route sends against
+// the documented response for its status and logs, counts and flags
+// (X-Contract-Violations) any drift; strict replaces drifting responses with
+// a 500 listing the problems. Responses sent before routing (rate limits,
+// pool rejections, injected faults) are not checked.
+const RESPONSE_VALIDATION = process.env.RESPONSE_VALIDATION || 'off';
+const MODES = ['off', 'warn', 'strict'];
+
+if (!MODES.includes(RESPONSE_VALIDATION)) {
+  throw new Error(`Unknown RESPONSE_VALIDATION "${RESPONSE_VALIDATION}" (expected ${MODES.join(', ')})`);
+}
+
+const stats = { requestsRejected: 0, responsesChecked: 0, responseViolations: 0 };
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const fieldName = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+const resolve = (document, schema) => {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  const resolved = document.components.schemas[name];
+  if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return resolved;
+};
+
+// Appends { field, message } for every way `value` breaks `schema`
+const check = (document, rawSchema, value, path, errors) => {
+  const schema = resolve(document, rawSchema);
+  const fail = (message) => {
+    errors.push({ field: path || '(root)', message });
+    return errors;
+  };
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return fail(`must be ${types.join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  } else if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => check(document, schema.items, item, fieldName(path, i), errors));
+  } else if (value !== null && typeof value === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ field: fieldName(path, key), message: 'is required' });
+    });
+    Object.entries(value).forEach(([key, property]) => {
+      if (property === undefined) return;
+      if (properties[key]) {
+        check(document, properties[key], property, fieldName(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: fieldName(path, key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(document, schema.additionalProperties, property, fieldName(path, key), errors);
+      }
+    });
+  }
+  return errors;
+};
+
+const validate = (document, schema, value, path = '') => check(document, schema, value, path, []);
+
+// Query, path and header values arrive as strings; numbers and booleans are
+// converted before checking, and left as they are when they don't convert
+const coerce = (value, schema) => {
+  const types = [].concat(schema.type || []);
+  if (typeof value !== 'string') return value;
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return Number(value);
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+// "METHOD /express/:path" → operation, from the document's "/path/{param}"
+// templates
+const indexOperations = (document) => {
+  const operations = new Map();
+  Object.entries(document.paths).forEach(([template, item]) => {
+    const route = template.replace(/\{([^}]+)\}/g, ':$1');
+    Object.entries(item).forEach(([method, operation]) => {
+      if (method === 'parameters') return;
+      operations.set(`${method.toUpperCase()} ${route}`, {
+        ...operation,
+        parameters: [...(item.parameters || []), ...(operation.parameters || [])]
+      });
+    });
+  });
+  return operations;
+};
+
+const operationOf = (operations, req) =>
+  req.route ? operations.get(`${req.method} ${req.baseUrl}${req.route.path}`) : undefined;
+
+const SOURCES = { path: 'params', query: 'query', header: 'headers' };
+
+const requestErrors = (document, operation, req) => {
+  const errors = [];
+  operation.parameters.forEach(parameter => {
+    const source = req[SOURCES[parameter.in]] || {};
+    const raw = source[parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name];
+    const add = problems => problems.forEach(({ message }) =>
+      errors.push({ in: parameter.in, field: parameter.name, message }));
+
+    if (raw === undefined) {
+      if (parameter.required) add([{ message: 'is required' }]);
+    } else if (Array.isArray(raw)) {
+      add([{ message: 'must be given once' }]);
+    } else {
+      add(validate(document, parameter.schema, coerce(raw, resolve(document, parameter.schema))));
+    }
+  });
+
+  const body = operation.requestBody;
+  if (body) {
+    const present = req.body !== undefined && Object.keys(req.body).length > 0;
+    if (!present && body.required) {
+      errors.push({ in: 'body', field: '(root)', message: 'is required' });
+    } else if (present) {
+      validate(document, body.content['application/json'].schema, req.body)
+        .forEach(problem => errors.push({ in: 'body', ...problem }));
+    }
+  }
+  return errors;
+};
+
+// Route middleware. `onInvalid(errors, req)` is called for every 400.
+const requestValidator = (document, { onInvalid = () => {} } = {}) => {
+  const operations = indexOperations(document);
+  return (req, res, next) => {
+    const operation = operationOf(operations, req);
+    if (!operation) {
+      return next(new Error(`No OpenAPI operation for ${req.method} ${req.baseUrl}${req.route.path}`));
+    }
+    const errors = requestErrors(document, operation, req);
+    if (errors.length === 0) return next();
+
+    stats.requestsRejected++;
+    onInvalid(errors, req);
+    res.status(400).json({ error: 'Invalid request', details: errors });
+  };
+};
+
+const responseSchemaOf = (operation, status) => {
+  const response = operation.responses[String(status)] || operation.responses.default;
+  return response && response.content && response.content['application/json']
+    ? response.content['application/json'].schema
+    : null;
+};
+
+const responseErrors = (document, operation, status, body) => {
+  if (!operation.responses[String(status)] && !operation.responses.default) {
+    return [{ field: '(status)', message: `status ${status} is not documented` }];
+  }
+  const schema = responseSchemaOf(operation, status);
+  return schema ? validate(document, schema, body) : [];
+};
+
+const parseBody = (body) => {
+  try {
+    return JSON.parse(Buffer.isBuffer(body) ? body.toString('utf8') : body);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Global middleware, mounted before any route. Does nothing unless
+// RESPONSE_VALIDATION is warn or strict. `onDrift(route, status, errors, req)`
+// is called for every response that doesn't match the document.
+const responseValidator = (document, { onDrift = () => {} } = {}) => {
+  const operations = indexOperations(document);
+  return (req, res, next) => {
+    if (RESPONSE_VALIDATION === 'off') return next();
+
+    const send = res.send;
+    res.send = function (body) {
+      // res.json() and res.send() of an object both come back here with a string
+      const operation = operationOf(operations, req);
+      const isJson = /json/.test(String(this.get('Content-Type') || ''));
+      if (!operation || !isJson || (typeof body !== 'string' && !Buffer.isBuffer(body))) {
+        return send.call(this, body);
+      }
+
+      stats.responsesChecked++;
+      const parsed = parseBody(body);
+      const errors = parsed === undefined
+        ? [{ field: '(root)', message: 'is not valid JSON' }]
+        : responseErrors(document, operation, this.statusCode, parsed);
+      if (errors.length === 0) return send.call(this, body);
+
+      stats.responseViolations++;
+      const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+      onDrift(route, this.statusCode, errors, req);
+      this.set('X-Contract-Violations', String(errors.length));
+      if (RESPONSE_VALIDATION === 'strict') {
+        this.status(500);
+        return send.call(this, JSON.stringify({
+          error: 'Response does not match the API contract',
+          details: errors.map(error => ({ in: 'response', ...error }))
+        }));
+      }
+      return send.call(this, body);
+    };
+    next();
+  };
+};
+
+const snapshot = () => ({
+  responseValidation: RESPONSE_VALIDATION,
+  ...stats
+});
+
+module.exports = {
+  RESPONSE_VALIDATION,
+  validate,
+  requestValidator,
+  responseValidator,
+  snapshot
+};
@@ -0,0 +1,43 @@
+#!/bin/bash
+
+# Run the same k6 suite against the API with 1 worker and with N workers
+# Usage: ./scripts/compare-workers.sh [workers] [test_file]
+
+WORKERS=${1:-4}
+TEST_FILE=${2:-"tests/stress/breaking-point.js"}
+PORT=${PORT:-3000}
+BASE_URL="http://localhost:$PORT"
+REPORTS_DIR="reports"
+TEST_NAME=$(basename "$TEST_FILE" .js)
+
+mkdir -p $REPORTS_DIR
+
+for COUNT in 1 $WORKERS; do
+    echo ""
+    echo "==================================="
+    echo "$TEST_NAME with $COUNT worker(s)"
+    echo "==================================="
+
+    CLUSTER_WORKERS=$COUNT PORT=$PORT SEED=${SEED:-42} node api/src/server.js &
+    API_PID=$!
+
+    # Wait for the API to come up and finish any warm-up
+    for i in $(seq 1 30); do
+        curl -sf "$BASE_URL/health/ready" > /dev/null && break
+        sleep 1
+    done
+
+    k6 run -e BASE_URL=$BASE_URL "$TEST_FILE" \
+        --out json=$REPORTS_DIR/$TEST_NAME-workers-$COUNT.json \
+        --summary-export=$REPORTS_DIR/$TEST_NAME-workers-$COUNT-summary.json
+    curl -s "$BASE_URL/metrics" > $REPORTS_DIR/$TEST_NAME-workers-$COUNT-metrics.json
+
+    kill $API_PID
+    wait $API_PID 2>/dev/null
+done
+
+echo ""
+echo "==================================="
+echo "Compare $REPORTS_DIR/$TEST_NAME-workers-1-summary.json"
+echo "   with $REPORTS_DIR/$TEST_NAME-workers-$WORKERS-summary.json"
+echo "==================================="
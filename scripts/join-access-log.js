@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Server vs Client Latency Join
+ *
+ * Joins the API's access log (ACCESS_LOG_FILE) with k6 `--out json` output
+ * on the request ID the k6 helpers send, and compares per route how long the
+ * server took with how long k6 saw. The difference is time spent outside the
+ * request handler: network, kernel queues, connection setup and k6 itself.
+ *
+ * Usage: node scripts/join-access-log.js <k6-output.json> <access-log>... [--out report.json]
+ * Example:
+ *   ACCESS_LOG_FILE=reports/access.log node api/src/server.js
+ *   k6 run --out json=reports/baseline.json tests/load/baseline.js
+ *   node scripts/join-access-log.js reports/baseline.json reports/access*.log*
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+function parseArgs(argv) {
+  const args = { out: 'reports/latency-join.json', files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+async function eachJsonLine(file, fn) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      // Skip partial lines (e.g. the last line of a log still being written)
+      continue;
+    }
+    fn(entry);
+  }
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return Math.round(sorted[Math.max(0, index)] * 100) / 100;
+}
+
+function distribution(values) {
+  const sorted = Float64Array.from(values).sort();
+  return {
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: percentile(sorted, 100),
+  };
+}
+
+async function join(k6File, logFiles) {
+  // requestId → server-side entry
+  const server = new Map();
+  for (const file of logFiles) {
+    await eachJsonLine(file, (entry) => {
+      if (entry.requestId) server.set(entry.requestId, entry);
+    });
+  }
+
+  const routes = new Map();
+  const unmatched = { k6: 0, untagged: 0 };
+  let matched = 0;
+
+  await eachJsonLine(k6File, (point) => {
+    if (point.type !== 'Point' || point.metric !== 'http_req_duration') return;
+    const requestId = point.data.metadata && point.data.metadata.request_id;
+    if (!requestId) {
+      unmatched.untagged++;
+      return;
+    }
+    const entry = server.get(requestId);
+    if (!entry || typeof entry.durationMs !== 'number') {
+      unmatched.k6++;
+      return;
+    }
+    server.delete(requestId);
+    matched++;
+
+    const key = `${entry.method} ${entry.route}`;
+    if (!routes.has(key)) routes.set(key, { client: [], server: [], overhead: [], rateLimited: 0, errors: 0 });
+    const route = routes.get(key);
+    route.client.push(point.data.value);
+    route.server.push(entry.durationMs);
+    route.overhead.push(Math.max(0, point.data.value - entry.durationMs));
+    if (entry.rateLimited) route.rateLimited++;
+    if (entry.status >= 500 || entry.status === 'aborted') route.errors++;
+  });
+
+  return {
+    matched,
+    unmatched: { ...unmatched, serverOnly: server.size },
+    routes: [...routes.entries()]
+      .map(([route, data]) => ({
+        route,
+        requests: data.client.length,
+        rateLimited: data.rateLimited,
+        errors: data.errors,
+        clientMs: distribution(data.client),
+        serverMs: distribution(data.server),
+        overheadMs: distribution(data.overhead),
+      }))
+      .sort((a, b) => b.requests - a.requests),
+  };
+}
+
+function printReport(report) {
+  const header = ['route', 'requests', 'client p95', 'server p95', 'overhead p95', 'server share'];
+  const rows = report.routes.map((r) => [
+    r.route,
+    String(r.requests),
+    `${r.clientMs.p95}ms`,
+    `${r.serverMs.p95}ms`,
+    `${r.overheadMs.p95}ms`,
+    r.clientMs.p95 > 0 ? `${Math.min(100, (r.serverMs.p95 / r.clientMs.p95) * 100).toFixed(0)}%` : '-',
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  const format = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  console.log(format(header));
+  console.log(widths.map((w) => '-'.repeat(w)).join('  '));
+  rows.forEach((row) => console.log(format(row)));
+  console.log('');
+  console.log(`Matched ${report.matched} requests`);
+  console.log(`Unmatched: ${report.unmatched.k6} k6 requests without a log entry, ` +
+    `${report.unmatched.serverOnly} log entries without a k6 request, ` +
+    `${report.unmatched.untagged} k6 requests without a request ID`);
+}
+
+async function main() {
+  const { out, files } = parseArgs(process.argv.slice(2));
+  if (files.length < 2) {
+    console.error('Usage: node scripts/join-access-log.js <k6-output.json> <access-log>... [--out report.json]');
+    process.exit(1);
+  }
+  const [k6File, ...logFiles] = files;
+  for (const file of files) {
+    if (!fs.existsSync(file)) {
+      console.error(`File not found: ${file}`);
+      process.exit(1);
+    }
+  }
+
+  const report = await join(k6File, logFiles);
+  printReport(report);
+  fs.writeFileSync(out, JSON.stringify(report, null, 2));
+  console.log(`Report written to ${out}`);
+}
+
+main().catch((err) => {
+  console.error(err.stack);
+  process.exit(1);
+});
@@ -22,20 +22,41 @@ if ! curl -s "$BASE_URL/health" | grep -q "ok"; then
 fi
 echo "API is healthy!"
 
+# /admin endpoints need an admin token (the seeded admin unless overridden)
+ADMIN_EMAIL=${ADMIN_EMAIL:-"admin@test.com"}
+ADMIN_PASSWORD=${ADMIN_PASSWORD:-"admin123"}
+ADMIN_TOKEN=$(curl -s -X POST "$BASE_URL/api/auth/login" \
+    -H "Content-Type: application/json" \
+    -d "{\"email\":\"$ADMIN_EMAIL\",\"password\":\"$ADMIN_PASSWORD\"}" \
+    | sed -n 's/.*"token":"\([^"]*\)".*/\1/p')
+if [ -z "$ADMIN_TOKEN" ]; then
+    echo "ERROR: admin login failed for $ADMIN_EMAIL"
+    exit 1
+fi
+
+# Restore the seeded data set so every suite starts from the same state
+reset_data() {
+    curl -s -X POST "$BASE_URL/admin/reset" -H "Authorization: Bearer $ADMIN_TOKEN" > /dev/null
+}
+
 # Run tests
 echo ""
+reset_data
 echo "1/4 Running Baseline Load Test..."
 k6 run -e BASE_URL=$BASE_URL tests/load/baseline.js --out json=reports/baseline-results.json
 
 echo ""
+reset_data
 echo "2/4 Running Purchase Flow Test..."
 k6 run -e BASE_URL=$BASE_URL tests/load/purchase-flow.js --out json=reports/purchase-flow-results.json
 
 echo ""
+reset_data
 echo "3/4 Running Spike Test..."
 k6 run -e BASE_URL=$BASE_URL tests/spike/sudden-traffic.js --out json=reports/spike-results.json
 
 echo ""
+reset_data
 echo "4/4 Running Stress Test..."
 k6 run -e BASE_URL=$BASE_URL tests/stress/breaking-point.js --out json=reports/stress-results.json
 
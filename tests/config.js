@@ -1,5 +1,9 @@
 export const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
+// The seeded admin account, used by the catalog management tests
+export const ADMIN_EMAIL = __ENV.ADMIN_EMAIL || 'admin@test.com';
+export const ADMIN_PASSWORD = __ENV.ADMIN_PASSWORD || 'admin123';
+
 export const THRESHOLDS = {
   // Response time thresholds
   http_req_duration: ['p(95)<500', 'p(99)<1000'],
@@ -0,0 +1,176 @@
+import http from './tracing.js';
+import { check, sleep } from 'k6';
+import { BASE_URL, HEADERS } from './config.js';
+
+// GraphQL counterparts of the REST helpers in helpers.js. Every request goes
+// to POST /graphql, so each one is tagged with its operation name (and named
+// after it) to keep per-operation timings apart in the results.
+
+const PRODUCT_FIELDS = 'id name price stock category';
+const CART_FIELDS = 'userId total items { productId name price quantity }';
+const ORDER_FIELDS = 'id status total createdAt items { productId quantity } statusHistory { status at }';
+
+// GraphQL answers 200 even when a resolver fails; this is the first error's
+// code (e.g. CONFLICT, UNAUTHENTICATED), or null for a clean response
+export function graphqlErrorCode(response) {
+  try {
+    const errors = response.json('errors');
+    if (!errors || errors.length === 0) return null;
+    return (errors[0].extensions && errors[0].extensions.code) || 'GRAPHQL_ERROR';
+  } catch {
+    return 'INVALID_RESPONSE';
+  }
+}
+
+export function graphqlRequest(operation, query, variables = {}, authHeaders = HEADERS, type = 'read') {
+  return http.post(
+    `${BASE_URL}/graphql`,
+    JSON.stringify({ query, variables, operationName: operation }),
+    {
+      headers: authHeaders,
+      tags: { type, api: 'graphql', graphql_operation: operation, name: `graphql ${operation}` },
+    }
+  );
+}
+
+function checkOperation(response, description) {
+  return check(response, {
+    [description]: (r) => r.status === 200 && graphqlErrorCode(r) === null,
+  });
+}
+
+export function gqlLogin(email = 'user1@test.com', password = 'password123') {
+  const response = graphqlRequest(
+    'Login',
+    `mutation Login($email: String!, $password: String!) {
+      login(email: $email, password: $password) { token refreshToken user { id } }
+    }`,
+    { email, password },
+    HEADERS,
+    'auth'
+  );
+
+  const success = checkOperation(response, 'graphql login successful');
+  return success ? response.json('data.login.token') : null;
+}
+
+export function gqlProducts(args = {}, authHeaders = HEADERS) {
+  const response = graphqlRequest(
+    'Products',
+    `query Products($category: String, $page: Int, $limit: Int, $sort: String) {
+      products(category: $category, page: $page, limit: $limit, sort: $sort) {
+        data { ${PRODUCT_FIELDS} }
+        pagination { page limit total totalPages }
+      }
+    }`,
+    args,
+    authHeaders
+  );
+
+  checkOperation(response, 'graphql products fetched');
+  return response;
+}
+
+export function gqlProduct(id, authHeaders = HEADERS) {
+  const response = graphqlRequest(
+    'Product',
+    `query Product($id: ID!) { product(id: $id) { ${PRODUCT_FIELDS} description rating reviews } }`,
+    { id },
+    authHeaders
+  );
+
+  check(response, {
+    'graphql product fetched': (r) => r.status === 200 && graphqlErrorCode(r) === null && r.json('data.product') !== null,
+  });
+  return response;
+}
+
+// `options` as for searchProducts(): { category, minPrice, maxPrice, page, limit }
+export function gqlSearch(q, authHeaders = HEADERS, options = {}) {
+  const response = graphqlRequest(
+    'Search',
+    `query Search($q: String!, $category: String, $minPrice: Float, $maxPrice: Float, $page: Int, $limit: Int) {
+      search(q: $q, category: $category, minPrice: $minPrice, maxPrice: $maxPrice, page: $page, limit: $limit) {
+        total
+        pagination { page limit total totalPages }
+        facets { category { value count } price { min max count } }
+        products { ${PRODUCT_FIELDS} score }
+      }
+    }`,
+    { q, ...options },
+    authHeaders,
+    'search'
+  );
+
+  checkOperation(response, 'graphql search successful');
+  return response;
+}
+
+export function gqlCart(authHeaders) {
+  const response = graphqlRequest('Cart', `query Cart { cart { ${CART_FIELDS} } }`, {}, authHeaders);
+
+  checkOperation(response, 'graphql cart fetched');
+  return response;
+}
+
+export function gqlAddToCart(productId, quantity, authHeaders) {
+  const response = graphqlRequest(
+    'AddToCart',
+    `mutation AddToCart($productId: ID!, $quantity: Int) {
+      addToCart(productId: $productId, quantity: $quantity) { ${CART_FIELDS} }
+    }`,
+    { productId, quantity },
+    authHeaders,
+    'write'
+  );
+
+  checkOperation(response, 'graphql item added to cart');
+  return response;
+}
+
+// Pass an idempotency key to make retries of the same checkout safe
+export function gqlCheckout(authHeaders, idempotencyKey) {
+  const response = graphqlRequest(
+    'Checkout',
+    `mutation Checkout($idempotencyKey: String) {
+      checkout(idempotencyKey: $idempotencyKey) { ${ORDER_FIELDS} }
+    }`,
+    { idempotencyKey },
+    authHeaders,
+    'write'
+  );
+
+  checkOperation(response, 'graphql order created');
+  return response;
+}
+
+export function gqlOrder(id, authHeaders) {
+  const response = graphqlRequest(
+    'Order',
+    `query Order($id: ID!) { order(id: $id) { ${ORDER_FIELDS} } }`,
+    { id },
+    authHeaders
+  );
+
+  check(response, {
+    'graphql order fetched': (r) => r.status === 200 && graphqlErrorCode(r) === null && r.json('data.order') !== null,
+  });
+  return response;
+}
+
+// Polls an order until it reaches one of `statuses` or `timeoutSeconds` pass.
+// Returns the last order seen (or null if it could not be fetched).
+export function gqlWaitForOrderStatus(id, authHeaders, statuses, timeoutSeconds = 10, intervalSeconds = 0.25) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let order = null;
+
+  while (Date.now() < deadline) {
+    const response = gqlOrder(id, authHeaders);
+    if (response.status !== 200 || graphqlErrorCode(response) !== null) return order;
+
+    order = response.json('data.order');
+    if (!order || statuses.indexOf(order.status) !== -1) return order;
+    sleep(intervalSeconds);
+  }
+  return order;
+}
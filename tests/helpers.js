@@ -1,6 +1,6 @@
-import http from 'k6/http';
-import { check } from 'k6';
-import { BASE_URL, HEADERS } from './config.js';
+import http from './tracing.js';
+import { check, sleep } from 'k6';
+import { BASE_URL, HEADERS, ADMIN_EMAIL, ADMIN_PASSWORD, getAuthHeaders } from './config.js';
 
 // k6 doesn't have URLSearchParams, so we create a simple helper
 function buildQueryString(params) {
@@ -31,6 +31,59 @@ export function login(email = 'user1@test.com', password = 'password123') {
   return null;
 }
 
+// Headers for the /admin endpoints, which need an admin token. Each VU (and
+// setup/teardown) signs in as the seeded admin once and reuses the token.
+let adminToken = null;
+
+export function adminHeaders() {
+  if (!adminToken) adminToken = login(ADMIN_EMAIL, ADMIN_PASSWORD);
+  return getAuthHeaders(adminToken);
+}
+
+// Like login(), but returns the full session ({ token, refreshToken, ... })
+export function loginSession(email = 'user1@test.com', password = 'password123') {
+  const response = http.post(
+    `${BASE_URL}/api/auth/login`,
+    JSON.stringify({ email, password }),
+    { headers: HEADERS, tags: { type: 'auth' } }
+  );
+
+  const success = check(response, {
+    'login successful': (r) => r.status === 200,
+    'refresh token received': (r) => r.json('refreshToken') !== undefined,
+  });
+
+  return success ? response.json() : null;
+}
+
+export function refreshSession(refreshToken) {
+  const response = http.post(
+    `${BASE_URL}/api/auth/refresh`,
+    JSON.stringify({ refreshToken }),
+    { headers: HEADERS, tags: { type: 'auth' } }
+  );
+
+  check(response, {
+    'token refreshed': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
+export function logout(authHeaders, refreshToken) {
+  const response = http.post(
+    `${BASE_URL}/api/auth/logout`,
+    JSON.stringify({ refreshToken }),
+    { headers: authHeaders, tags: { type: 'auth' } }
+  );
+
+  check(response, {
+    'logged out': (r) => r.status === 204,
+  });
+
+  return response;
+}
+
 export function register(email, password, name) {
   const response = http.post(
     `${BASE_URL}/api/auth/register`,
@@ -65,27 +118,32 @@ export function getProducts(params = {}, authHeaders = HEADERS) {
   return response;
 }
 
-export function getProduct(productId, authHeaders = HEADERS) {
+// Pass the ETag of an earlier response to make a conditional request;
+// 304 Not Modified then counts as success
+export function getProduct(productId, authHeaders = HEADERS, etag = null) {
   const response = http.get(`${BASE_URL}/api/products/${productId}`, {
-    headers: authHeaders,
+    headers: etag ? { ...authHeaders, 'If-None-Match': etag } : authHeaders,
     tags: { type: 'read' },
   });
 
   check(response, {
-    'product fetched': (r) => r.status === 200,
+    'product fetched': (r) => r.status === 200 || (etag !== null && r.status === 304),
   });
 
   return response;
 }
 
-export function searchProducts(query, authHeaders = HEADERS) {
-  const response = http.get(`${BASE_URL}/api/search?q=${encodeURIComponent(query)}`, {
+// `options` narrows and pages the results: { category, minPrice, maxPrice, page, limit }
+export function searchProducts(query, authHeaders = HEADERS, options = {}) {
+  const queryString = buildQueryString({ q: query, ...options });
+  const response = http.get(`${BASE_URL}/api/search?${queryString}`, {
     headers: authHeaders,
     tags: { type: 'search' },
   });
 
   check(response, {
     'search successful': (r) => r.status === 200,
+    'search has totals': (r) => r.status !== 200 || r.json('pagination.total') === r.json('total'),
   });
 
   return response;
@@ -105,6 +163,33 @@ export function addToCart(productId, quantity, authHeaders) {
   return response;
 }
 
+export function updateCartItem(productId, quantity, authHeaders) {
+  const response = http.patch(
+    `${BASE_URL}/api/cart/items/${productId}`,
+    JSON.stringify({ quantity }),
+    { headers: authHeaders, tags: { type: 'write' } }
+  );
+
+  check(response, {
+    'cart item updated': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
+export function clearCart(authHeaders) {
+  const response = http.del(`${BASE_URL}/api/cart`, null, {
+    headers: authHeaders,
+    tags: { type: 'write' },
+  });
+
+  check(response, {
+    'cart cleared': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
 export function getCart(authHeaders) {
   const response = http.get(`${BASE_URL}/api/cart`, {
     headers: authHeaders,
@@ -118,11 +203,15 @@ export function getCart(authHeaders) {
   return response;
 }
 
-export function checkout(authHeaders) {
+// Pass an idempotency key to make retries of the same checkout safe
+export function checkout(authHeaders, idempotencyKey) {
+  const headers = idempotencyKey
+    ? { ...authHeaders, 'Idempotency-Key': idempotencyKey }
+    : authHeaders;
   const response = http.post(
     `${BASE_URL}/api/orders`,
     '{}',
-    { headers: authHeaders, tags: { type: 'write' } }
+    { headers, tags: { type: 'write' } }
   );
 
   check(response, {
@@ -145,6 +234,199 @@ export function getOrders(authHeaders) {
   return response;
 }
 
+export function injectFault(rule, authHeaders = adminHeaders()) {
+  const response = http.post(
+    `${BASE_URL}/admin/faults`,
+    JSON.stringify(rule),
+    { headers: authHeaders, tags: { type: 'admin' } }
+  );
+
+  check(response, {
+    'fault injected': (r) => r.status === 201,
+  });
+
+  return response.status === 201 ? response.json('id') : null;
+}
+
+export function clearFaults(faultId, authHeaders = adminHeaders()) {
+  const url = faultId ? `${BASE_URL}/admin/faults/${faultId}` : `${BASE_URL}/admin/faults`;
+  const response = http.del(url, null, { headers: authHeaders, tags: { type: 'admin' } });
+
+  check(response, {
+    'faults cleared': (r) => r.status === 200 || r.status === 204,
+  });
+
+  return response;
+}
+
+export function getOrder(orderId, authHeaders) {
+  const response = http.get(`${BASE_URL}/api/orders/${orderId}`, {
+    headers: authHeaders,
+    tags: { type: 'read', name: 'GET /api/orders/:id' },
+  });
+
+  check(response, {
+    'order fetched': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
+export function cancelOrder(orderId, authHeaders) {
+  const response = http.post(`${BASE_URL}/api/orders/${orderId}/cancel`, '{}', {
+    headers: authHeaders,
+    tags: { type: 'write', name: 'POST /api/orders/:id/cancel' },
+  });
+
+  check(response, {
+    'order cancelled': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
+// Polls an order until it reaches one of `statuses` or `timeoutSeconds` pass.
+// Returns the last order seen (or null if it could not be fetched).
+export function waitForOrderStatus(orderId, authHeaders, statuses, timeoutSeconds = 10, intervalSeconds = 0.25) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let order = null;
+
+  while (Date.now() < deadline) {
+    const response = getOrder(orderId, authHeaders);
+    if (response.status !== 200) return order;
+
+    order = response.json();
+    if (statuses.indexOf(order.status) !== -1) return order;
+    sleep(intervalSeconds);
+  }
+  return order;
+}
+
+// 200 with the report for short ranges, 202 with a job for long ones (or
+// mode: 'job'); 429/503 when the API's report job limits are reached
+export function getSalesReport(params = {}, authHeaders) {
+  const queryString = buildQueryString(params);
+  const url = queryString ? `${BASE_URL}/api/reports/sales?${queryString}` : `${BASE_URL}/api/reports/sales`;
+
+  const response = http.get(url, {
+    headers: authHeaders,
+    tags: { type: 'report', name: 'GET /api/reports/sales' },
+  });
+
+  check(response, {
+    'report generated or accepted': (r) => r.status === 200 || r.status === 202,
+  });
+
+  return response;
+}
+
+// Polls a report job until it completes or fails, waiting as long as its
+// Retry-After says between polls. Returns the last job seen (or null).
+export function waitForReportJob(statusUrl, authHeaders, timeoutSeconds = 60) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let job = null;
+
+  while (Date.now() < deadline) {
+    const response = http.get(`${BASE_URL}${statusUrl}`, {
+      headers: authHeaders,
+      tags: { type: 'report', name: 'GET /api/reports/jobs/:id' },
+    });
+    if (response.status !== 200) return job;
+
+    job = response.json();
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    sleep(parseFloat(response.headers['Retry-After']) || 1);
+  }
+  return job;
+}
+
+export function downloadReport(resultUrl, authHeaders) {
+  const response = http.get(`${BASE_URL}${resultUrl}`, {
+    headers: authHeaders,
+    tags: { type: 'report', name: 'GET /api/reports/jobs/:id/result' },
+  });
+
+  check(response, {
+    'report downloaded': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
+// Catalog management; all of these need an admin token's headers
+export function createProduct(product, authHeaders) {
+  const response = http.post(
+    `${BASE_URL}/api/products`,
+    JSON.stringify(product),
+    { headers: authHeaders, tags: { type: 'admin-write', name: 'POST /api/products' } }
+  );
+
+  check(response, {
+    'product created': (r) => r.status === 201,
+  });
+
+  return response;
+}
+
+export function updateProduct(productId, changes, authHeaders) {
+  const response = http.patch(
+    `${BASE_URL}/api/products/${productId}`,
+    JSON.stringify(changes),
+    { headers: authHeaders, tags: { type: 'admin-write', name: 'PATCH /api/products/:id' } }
+  );
+
+  check(response, {
+    'product updated': (r) => r.status === 200,
+  });
+
+  return response;
+}
+
+// 409 when the stock would drop below what carts have reserved
+export function adjustStock(productId, delta, authHeaders, reason = undefined) {
+  const response = http.post(
+    `${BASE_URL}/api/products/${productId}/stock`,
+    JSON.stringify({ delta, reason }),
+    { headers: authHeaders, tags: { type: 'admin-write', name: 'POST /api/products/:id/stock' } }
+  );
+
+  check(response, {
+    'stock adjusted': (r) => r.status === 200 || r.status === 409,
+  });
+
+  return response;
+}
+
+export function deleteProduct(productId, authHeaders) {
+  const response = http.del(`${BASE_URL}/api/products/${productId}`, null, {
+    headers: authHeaders,
+    tags: { type: 'admin-write', name: 'DELETE /api/products/:id' },
+  });
+
+  check(response, {
+    'product deleted': (r) => r.status === 204,
+  });
+
+  return response;
+}
+
+export function checkInventory(authHeaders = adminHeaders()) {
+  const response = http.get(`${BASE_URL}/admin/inventory/check`, {
+    headers: authHeaders,
+    tags: { type: 'admin' },
+  });
+
+  check(response, {
+    'inventory consistent': (r) => r.status === 200 && r.json('consistent') === true,
+  });
+
+  return response;
+}
+
+export function generateIdempotencyKey() {
+  return `${__VU}-${__ITER}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 export function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
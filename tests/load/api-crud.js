@@ -110,16 +110,15 @@ export default function (data) {
     sleep(0.5);
   });
 
-  // UPDATE (add more of same item)
+  // UPDATE (set item quantity)
   group('03_Update', () => {
     if (createdItemId) {
       const payload = JSON.stringify({
-        productId: createdItemId,
         quantity: 5,
       });
 
       const start = Date.now();
-      const response = http.post(`${BASE_URL}/api/cart/items`, payload, {
+      const response = http.patch(`${BASE_URL}/api/cart/items/${createdItemId}`, payload, {
         headers: { ...headers, 'Content-Type': 'application/json' },
         tags: { operation: 'update' },
       });
@@ -127,6 +126,14 @@ export default function (data) {
 
       const success = check(response, {
         'update status 200': (r) => r.status === 200,
+        'update sets quantity': (r) => {
+          try {
+            const item = r.json('items').find((i) => i.productId === createdItemId);
+            return item !== undefined && item.quantity === 5;
+          } catch {
+            return false;
+          }
+        },
       });
       crudSuccess.add(success);
     }
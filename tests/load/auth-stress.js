@@ -1,7 +1,8 @@
 import { sleep, check, group } from 'k6';
 import http from 'k6/http';
 import { Counter, Trend, Rate } from 'k6/metrics';
-import { BASE_URL, THRESHOLDS } from '../config.js';
+import { BASE_URL, THRESHOLDS, getAuthHeaders } from '../config.js';
+import { loginSession, refreshSession, logout } from '../helpers.js';
 
 /**
  * Authentication Stress Test
@@ -9,8 +10,8 @@ import { BASE_URL, THRESHOLDS } from '../config.js';
  * Tests authentication endpoints under heavy load:
  * - Login throughput
  * - Token validation
- * - Session management
- * - Rate limiting behavior
+ * - Session management (refresh storms, logout and revoked-token rejection)
+ * - Rate limiting behavior (429s must carry Retry-After and RateLimit-* headers)
  */
 
 const loginSuccess = new Counter('auth_login_success');
@@ -18,6 +19,10 @@ const loginFailed = new Counter('auth_login_failed');
 const loginDuration = new Trend('auth_login_duration');
 const tokenValidation = new Trend('auth_token_validation');
 const authErrorRate = new Rate('auth_error_rate');
+const refreshDuration = new Trend('auth_refresh_duration');
+const revokedRejected = new Rate('auth_revoked_token_rejected');
+const rateLimited = new Counter('auth_rate_limited');
+const rateLimitHeaders = new Rate('auth_rate_limit_headers');
 
 export const options = {
   scenarios: {
@@ -55,15 +60,51 @@ export const options = {
       exec: 'validateToken',
       startTime: '30s',
     },
+    // Scenario 4: Refresh storm (many clients' access tokens expiring at once)
+    refresh_storm: {
+      executor: 'ramping-arrival-rate',
+      startRate: 5,
+      timeUnit: '1s',
+      preAllocatedVUs: 30,
+      maxVUs: 60,
+      stages: [
+        { duration: '10s', target: 5 },
+        { duration: '10s', target: 80 },
+        { duration: '20s', target: 80 },
+        { duration: '10s', target: 5 },
+      ],
+      exec: 'refreshStorm',
+      startTime: '45s',
+    },
+    // Scenario 5: Session churn (login, refresh, logout, reuse revoked token)
+    session_churn: {
+      executor: 'constant-vus',
+      vus: 5,
+      duration: '1m30s',
+      exec: 'sessionChurn',
+      startTime: '30s',
+    },
   },
   thresholds: {
     ...THRESHOLDS,
     auth_login_duration: ['p(95)<500', 'p(99)<1000'],
     auth_token_validation: ['p(95)<100'],
     auth_error_rate: ['rate<0.05'],
+    auth_refresh_duration: ['p(95)<300'],
+    auth_revoked_token_rejected: ['rate==1'],  // Revoked tokens must never be accepted
+    auth_rate_limit_headers: ['rate==1'],      // Every 429 tells the client when to retry
   },
 };
 
+// Counts a 429 and checks it tells the client how long to back off
+function recordRateLimit(response) {
+  rateLimited.add(1);
+  rateLimitHeaders.add(check(response, {
+    '429 has Retry-After': (r) => parseInt(r.headers['Retry-After']) > 0,
+    '429 has RateLimit-Remaining': (r) => r.headers['Ratelimit-Remaining'] === '0',
+  }));
+}
+
 // Shared token storage
 let validToken = null;
 
@@ -148,6 +189,7 @@ export function burstLogin() {
     authErrorRate.add(0);
   } else if (response.status === 429) {
     // Rate limited is expected behavior
+    recordRateLimit(response);
     authErrorRate.add(0);
   } else {
     loginFailed.add(1);
@@ -181,6 +223,95 @@ export function validateToken(data) {
   sleep(0.5);
 }
 
+// Per-VU session for the refresh storm. Refresh tokens are single-use, so each
+// VU keeps rotating its own chain and logs in again only when it breaks.
+let stormSession = null;
+
+export function refreshStorm() {
+  if (!stormSession) {
+    stormSession = loginSession(`user${(__VU % 100) + 1}@test.com`, 'password123');
+    if (!stormSession) {
+      authErrorRate.add(1);
+      return;
+    }
+  }
+
+  const start = Date.now();
+  const response = http.post(
+    `${BASE_URL}/api/auth/refresh`,
+    JSON.stringify({ refreshToken: stormSession.refreshToken }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { scenario: 'refresh_storm' },
+      responseCallback: http.expectedStatuses(200, 429),
+    }
+  );
+  refreshDuration.add(Date.now() - start);
+
+  check(response, {
+    'refresh successful or rate limited': (r) => r.status === 200 || r.status === 429,
+  });
+
+  if (response.status === 200) {
+    stormSession = response.json();
+    authErrorRate.add(0);
+  } else if (response.status === 429) {
+    recordRateLimit(response);
+    authErrorRate.add(0);
+  } else {
+    stormSession = null;
+    authErrorRate.add(1);
+  }
+}
+
+export function sessionChurn() {
+  group('Session Churn', () => {
+    const session = loginSession(`user${(__VU % 100) + 1}@test.com`, 'password123');
+    if (!session) {
+      authErrorRate.add(1);
+      return;
+    }
+    sleep(0.5);
+
+    const refreshed = refreshSession(session.refreshToken);
+    if (refreshed.status !== 200) {
+      authErrorRate.add(1);
+      return;
+    }
+    const { token, refreshToken } = refreshed.json();
+    sleep(0.5);
+
+    // The rotated-out refresh token must not work a second time
+    const replay = http.post(
+      `${BASE_URL}/api/auth/refresh`,
+      JSON.stringify({ refreshToken: session.refreshToken }),
+      {
+        headers: { 'Content-Type': 'application/json' },
+        tags: { scenario: 'session_churn' },
+        responseCallback: http.expectedStatuses(401),
+      }
+    );
+    revokedRejected.add(replay.status === 401);
+
+    logout(getAuthHeaders(token), refreshToken);
+    sleep(0.5);
+
+    // The logged-out access token must be rejected
+    const reuse = http.get(`${BASE_URL}/api/cart`, {
+      headers: getAuthHeaders(token),
+      tags: { scenario: 'session_churn' },
+      responseCallback: http.expectedStatuses(401),
+    });
+    const rejected = check(reuse, {
+      'revoked token rejected': (r) => r.status === 401,
+    });
+    revokedRejected.add(rejected);
+    authErrorRate.add(rejected ? 0 : 1);
+  });
+
+  sleep(1);
+}
+
 export function handleSummary(data) {
   return {
     'reports/auth-stress-summary.json': JSON.stringify(data, null, 2),
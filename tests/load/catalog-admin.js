@@ -0,0 +1,196 @@
+import { check, sleep } from 'k6';
+import http from 'k6/http';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { BASE_URL, THRESHOLDS, HEADERS, ADMIN_EMAIL, ADMIN_PASSWORD, getAuthHeaders } from '../config.js';
+import {
+  login,
+  getProducts,
+  getProduct,
+  searchProducts,
+  createProduct,
+  updateProduct,
+  adjustStock,
+  deleteProduct,
+  randomInt,
+  randomElement,
+} from '../helpers.js';
+
+/**
+ * Catalog Admin Test
+ *
+ * Purpose: Run admin catalog writes alongside shopper reads and check that
+ * the response cache and the search index follow every change.
+ *
+ * Scenarios (run together):
+ * - shoppers: product lists, product pages and searches, most of them
+ *   served from the cache.
+ * - admins: each iteration creates a product with a unique search tag in
+ *   its name, then checks it can be read back, found by search and seen at
+ *   the top of the id:desc list; changes its price and checks the product page shows the
+ *   new price; adjusts its stock; deletes it and checks it is gone from the
+ *   product page and from search.
+ *
+ * Every read-back counts towards read_after_write_consistent; a stale cache
+ * entry or search index shows up there. A customer token is also tried
+ * against the admin endpoints now and then and must get 403.
+ */
+
+const CATEGORIES = ['Electronics', 'Books', 'Clothing', 'Home', 'Sports'];
+const QUERIES = ['electronics', 'books', 'quality', 'product 12', 'spo', 'high quality item'];
+
+const writeDuration = new Trend('catalog_write_duration', true);
+const consistent = new Rate('read_after_write_consistent');
+const forbidden = new Rate('customer_writes_forbidden');
+const productsCreated = new Counter('catalog_products_created');
+
+export const options = {
+  scenarios: {
+    shoppers: {
+      executor: 'constant-vus',
+      vus: 30,
+      duration: '3m',
+      exec: 'shopper',
+    },
+    admins: {
+      executor: 'constant-vus',
+      vus: 3,
+      duration: '3m',
+      exec: 'admin',
+    },
+  },
+  thresholds: {
+    ...THRESHOLDS,
+    'http_req_duration{type:admin-write}': ['p(95)<500'],
+    'catalog_write_duration{op:create}': ['p(95)<500'],
+    'catalog_write_duration{op:update}': ['p(95)<500'],
+    'catalog_write_duration{op:stock}': ['p(95)<500'],
+    'catalog_write_duration{op:delete}': ['p(95)<500'],
+    'read_after_write_consistent': ['rate==1'],
+    'customer_writes_forbidden': ['rate==1'],
+  },
+  tags: {
+    testType: 'catalog-admin',
+  },
+};
+
+export function setup() {
+  const adminToken = login(ADMIN_EMAIL, ADMIN_PASSWORD);
+  const customerToken = login();
+  if (!adminToken) {
+    throw new Error(`Admin login failed for ${ADMIN_EMAIL}`);
+  }
+  return { adminToken, customerToken };
+}
+
+export function shopper() {
+  const roll = randomInt(1, 10);
+  if (roll <= 4) {
+    getProducts({ page: randomInt(1, 3), limit: 20 });
+  } else if (roll <= 8) {
+    getProduct(randomInt(1, 50).toString());
+  } else {
+    searchProducts(randomElement(QUERIES));
+  }
+  sleep(randomInt(1, 3) / 10);
+}
+
+function timed(op, write) {
+  const response = write();
+  writeDuration.add(response.timings.duration, { op });
+  return response;
+}
+
+function readBack(name, ok) {
+  consistent.add(ok, { check: name });
+  check(null, { [`${name} after write`]: () => ok });
+}
+
+function searchFinds(tag, productId) {
+  const response = searchProducts(tag);
+  return response.status === 200 &&
+    response.json('products').some((product) => product.id === productId);
+}
+
+// The next two expect 404 and 403, so they don't go through the helpers'
+// success checks and those statuses don't count as failed requests
+function getDeletedProduct(productId) {
+  return http.get(`${BASE_URL}/api/products/${productId}`, {
+    headers: HEADERS,
+    tags: { type: 'read', name: 'GET /api/products/:id' },
+    responseCallback: http.expectedStatuses(404),
+  });
+}
+
+function updateProductAsCustomer(productId, customerToken) {
+  return http.patch(`${BASE_URL}/api/products/${productId}`, JSON.stringify({ price: 0.01 }), {
+    headers: getAuthHeaders(customerToken),
+    tags: { type: 'admin-write', name: 'PATCH /api/products/:id' },
+    responseCallback: http.expectedStatuses(403),
+  });
+}
+
+export function admin(data) {
+  const adminHeaders = getAuthHeaders(data.adminToken);
+  // One search token, so the index can be asked for exactly this product
+  const tag = `lt${__VU}v${__ITER}i${Date.now().toString(36)}`;
+  const name = `Load Test Item ${tag}`;
+
+  // 1. Create, then read it back through every path
+  const created = timed('create', () => createProduct({
+    name,
+    description: 'Created by the catalog admin load test',
+    price: randomInt(500, 20000) / 100,
+    category: randomElement(CATEGORIES),
+    stock: randomInt(10, 100),
+  }, adminHeaders));
+  if (created.status !== 201) {
+    sleep(1);
+    return;
+  }
+  productsCreated.add(1);
+  const productId = created.json('id');
+
+  readBack('product page', getProduct(productId).status === 200);
+  readBack('search index', searchFinds(tag, productId));
+  const newest = getProducts({ sort: 'id:desc', limit: 10 });
+  readBack('product list', newest.status === 200 &&
+    newest.json('data').some((product) => product.id === productId));
+
+  // 2. Change the price; the cached product page must not be served stale
+  const price = randomInt(500, 20000) / 100;
+  const updated = timed('update', () => updateProduct(productId, { price }, adminHeaders));
+  if (updated.status === 200) {
+    const page = getProduct(productId);
+    readBack('updated price', page.status === 200 && page.json('price') === price);
+  }
+
+  // 3. Restock
+  const stocked = timed('stock', () => adjustStock(productId, randomInt(1, 20), adminHeaders, 'restock'));
+  if (stocked.status === 200) {
+    const page = getProduct(productId);
+    readBack('adjusted stock', page.status === 200 && page.json('stock') === stocked.json('stock'));
+  }
+
+  // Customers can't write to the catalog
+  if (data.customerToken && randomInt(1, 5) === 1) {
+    const attempt = updateProductAsCustomer(productId, data.customerToken);
+    forbidden.add(attempt.status === 403);
+  }
+
+  sleep(randomInt(5, 15) / 10);
+
+  // 4. Delete; it must disappear from the product page and from search
+  const deleted = timed('delete', () => deleteProduct(productId, adminHeaders));
+  if (deleted.status === 204) {
+    readBack('deleted product', getDeletedProduct(productId).status === 404);
+    readBack('deleted from search', !searchFinds(tag, productId));
+  }
+
+  sleep(randomInt(5, 15) / 10);
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/catalog-admin-summary.json': JSON.stringify(data, null, 2),
+  };
+}
@@ -0,0 +1,101 @@
+import { sleep } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import { THRESHOLDS } from '../config.js';
+import { getProducts, getProduct, randomInt } from '../helpers.js';
+
+/**
+ * Catalog Cache Test
+ *
+ * Purpose: Compare catalog latency with a cold and a warm response cache.
+ *
+ * Scenarios (run one after the other, same arrival rate):
+ * - cold: product pages and lists spread over the whole catalog with varying
+ *   page sizes, so almost every request misses the cache.
+ * - warm: a hot set of products and the first list pages, revalidated with
+ *   If-None-Match using the ETags each VU has seen, so most requests are
+ *   cache hits and many are answered 304 without a body.
+ *
+ * Per-scenario results are in http_req_duration{scenario:cold|warm}. Run it
+ * again against an API started with RESPONSE_CACHE_SIZE=0 to see what the
+ * cache saves: ETags still work then, but every request runs the handler.
+ */
+
+const HOT_PRODUCTS = 20;
+const PAGE_SIZES = [10, 20, 25, 50];
+
+const cacheHits = new Rate('cache_hits');
+const notModified = new Rate('not_modified');
+const productLatency = new Trend('product_latency', true);
+
+export const options = {
+  scenarios: {
+    cold: {
+      executor: 'constant-arrival-rate',
+      rate: 50,
+      timeUnit: '1s',
+      duration: '2m',
+      preAllocatedVUs: 20,
+      maxVUs: 100,
+      exec: 'cold',
+    },
+    warm: {
+      executor: 'constant-arrival-rate',
+      rate: 50,
+      timeUnit: '1s',
+      duration: '2m',
+      startTime: '2m10s',
+      preAllocatedVUs: 20,
+      maxVUs: 100,
+      exec: 'warm',
+    },
+  },
+  thresholds: {
+    ...THRESHOLDS,
+    'http_req_duration{scenario:cold}': ['p(95)<200'],
+    'http_req_duration{scenario:warm}': ['p(95)<50'],
+    'cache_hits{scenario:warm}': ['rate>0.8'],
+    'not_modified{scenario:warm}': ['rate>0.5'],
+    'cache_hits{scenario:cold}': ['rate<1'],
+  },
+  tags: {
+    testType: 'catalog-cache',
+  },
+};
+
+function record(response) {
+  cacheHits.add(response.headers['X-Cache'] === 'HIT');
+  notModified.add(response.status === 304);
+}
+
+export function cold() {
+  if (randomInt(1, 2) === 1) {
+    record(getProducts({ page: randomInt(1, 40), limit: PAGE_SIZES[randomInt(0, PAGE_SIZES.length - 1)] }));
+  } else {
+    const response = getProduct(randomInt(1, 1000).toString());
+    productLatency.add(response.timings.duration, { cache: 'cold' });
+    record(response);
+  }
+  sleep(0.1);
+}
+
+// ETags this VU has seen, by product ID
+const etags = {};
+
+export function warm() {
+  if (randomInt(1, 4) === 1) {
+    record(getProducts({ page: randomInt(1, 3), limit: 20 }));
+  } else {
+    const productId = randomInt(1, HOT_PRODUCTS).toString();
+    const response = getProduct(productId, undefined, etags[productId] || null);
+    if (response.headers['Etag']) etags[productId] = response.headers['Etag'];
+    productLatency.add(response.timings.duration, { cache: 'warm' });
+    record(response);
+  }
+  sleep(0.1);
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/catalog-cache-summary.json': JSON.stringify(data, null, 2),
+  };
+}
@@ -0,0 +1,134 @@
+import { sleep, check, group } from 'k6';
+import http from 'k6/http';
+import { Counter, Trend } from 'k6/metrics';
+import { BASE_URL, THRESHOLDS, getAuthHeaders } from '../config.js';
+import { login, addToCart, getOrders, generateIdempotencyKey, randomInt } from '../helpers.js';
+
+/**
+ * Idempotent Checkout Test
+ *
+ * Simulates clients that retry order creation after timeouts: every checkout
+ * is sent several times with the same Idempotency-Key, partly overlapping and
+ * partly after the first attempt finished.
+ *
+ * Verifies:
+ * - Retries never create a second order
+ * - Completed retries get the original order back
+ * - Overlapping retries are told the request is still in progress (409)
+ */
+
+const duplicateOrders = new Counter('duplicate_orders');
+const idempotentReplays = new Counter('idempotent_replays');
+const inProgressConflicts = new Counter('idempotent_in_progress');
+const checkoutDuration = new Trend('checkout_duration');
+
+const OVERLAPPING_ATTEMPTS = 3;
+const LATE_RETRIES = 2;
+
+// 201 for the original and replays, 409 while the first attempt is running
+const checkoutParams = { responseCallback: http.expectedStatuses(201, 409) };
+
+export const options = {
+  stages: [
+    { duration: '30s', target: 10 },   // Warm up
+    { duration: '1m', target: 30 },    // Ramp up
+    { duration: '2m', target: 30 },    // Steady retries
+    { duration: '30s', target: 0 },    // Ramp down
+  ],
+  thresholds: {
+    ...THRESHOLDS,
+    duplicate_orders: ['count==0'],    // Retries must never duplicate an order
+    idempotent_replays: ['count>0'],
+    checkout_duration: ['p(95)<1000'],
+  },
+  tags: {
+    testType: 'idempotent-checkout',
+  },
+};
+
+// Per-VU session
+let token = null;
+
+export default function () {
+  if (!token) {
+    token = login(`user${(__VU % 100) + 1}@test.com`, 'password123');
+    if (!token) return;
+  }
+  const authHeaders = getAuthHeaders(token);
+  const key = generateIdempotencyKey();
+  const orderIds = new Set();
+
+  group('01_AddToCart', () => {
+    addToCart(String(randomInt(1, 100)), 1, authHeaders);
+  });
+
+  group('02_OverlappingCheckouts', () => {
+    const request = {
+      method: 'POST',
+      url: `${BASE_URL}/api/orders`,
+      body: '{}',
+      params: {
+        headers: { ...authHeaders, 'Idempotency-Key': key },
+        tags: { type: 'write' },
+        ...checkoutParams,
+      },
+    };
+
+    const start = Date.now();
+    const responses = http.batch(new Array(OVERLAPPING_ATTEMPTS).fill(request));
+    checkoutDuration.add(Date.now() - start);
+
+    responses.forEach((r) => {
+      check(r, {
+        'checkout created, replayed or in progress': (res) => res.status === 201 || res.status === 409,
+      });
+      if (r.status === 201) {
+        orderIds.add(r.json('id'));
+        if (r.headers['Idempotent-Replayed'] === 'true') idempotentReplays.add(1);
+      } else if (r.status === 409) {
+        inProgressConflicts.add(1);
+      }
+    });
+  });
+
+  group('03_LateRetries', () => {
+    for (let i = 0; i < LATE_RETRIES; i++) {
+      sleep(0.2);
+      const response = http.post(`${BASE_URL}/api/orders`, '{}', {
+        headers: { ...authHeaders, 'Idempotency-Key': key },
+        tags: { type: 'write' },
+        ...checkoutParams,
+      });
+
+      check(response, {
+        'retry replays original order': (r) => r.status === 201 && r.headers['Idempotent-Replayed'] === 'true',
+      });
+      if (response.status === 201) {
+        orderIds.add(response.json('id'));
+        idempotentReplays.add(1);
+      }
+    }
+  });
+
+  group('04_VerifyNoDuplicates', () => {
+    const response = getOrders(authHeaders);
+    if (response.status !== 200) return;
+
+    const created = response.json('data').filter((o) => o.idempotencyKey === key);
+    const unique = check(created, {
+      'exactly one order per idempotency key': (orders) => orders.length === 1,
+      'all attempts returned the same order': () => orderIds.size === 1,
+    });
+    if (!unique) {
+      duplicateOrders.add(Math.max(created.length - 1, orderIds.size - 1, 0));
+    }
+  });
+
+  sleep(randomInt(1, 2));
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/idempotent-checkout-summary.json': JSON.stringify(data, null, 2),
+  };
+}
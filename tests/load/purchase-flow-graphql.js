@@ -0,0 +1,204 @@
+import { check, sleep, group } from 'k6';
+import http from 'k6/http';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { BASE_URL, HEADERS, THRESHOLDS, getAuthHeaders } from '../config.js';
+import { checkInventory, generateIdempotencyKey, randomInt } from '../helpers.js';
+import {
+  gqlLogin,
+  gqlProducts,
+  gqlProduct,
+  gqlAddToCart,
+  gqlCart,
+  gqlCheckout,
+  gqlWaitForOrderStatus,
+  graphqlErrorCode,
+} from '../graphql-helpers.js';
+
+/**
+ * Purchase Flow Load Test (GraphQL)
+ *
+ * Purpose: Run the purchase journey of purchase-flow.js through /graphql
+ * instead of the REST endpoints, with the same stages and thresholds, so the
+ * two APIs can be compared on the same workload.
+ *
+ * Flow:
+ * 1. Login mutation
+ * 2. Products query
+ * 3. Product query
+ * 4. AddToCart mutation
+ * 5. Cart query
+ * 6. Checkout mutation (with an idempotency key)
+ * 7. Poll the Order query until payment is confirmed
+ *
+ * Requests are tagged with `graphql_operation`, so per-operation latency can
+ * be read from http_req_duration{graphql_operation:Checkout} and friends.
+ *
+ * setup() also sends requests whose `variables` are not an object (a number,
+ * an array) and expects 400s for them (invalid_requests_rejected).
+ */
+
+// Custom metrics
+const purchaseSuccess = new Counter('purchase_success');
+const purchaseFailed = new Counter('purchase_failed');
+const purchaseSoldOut = new Counter('purchase_sold_out');
+const inventoryConsistent = new Rate('inventory_consistent');
+const checkoutDuration = new Trend('checkout_duration');
+const timeToConfirmation = new Trend('time_to_confirmation', true);
+const paymentFailed = new Counter('payment_failed');
+const graphqlErrors = new Rate('graphql_errors');
+const invalidRejected = new Rate('invalid_requests_rejected');
+
+export const options = {
+  stages: [
+    { duration: '30s', target: 5 },    // Warm up
+    { duration: '2m', target: 20 },    // Ramp up to 20 users
+    { duration: '3m', target: 20 },    // Steady state
+    { duration: '1m', target: 50 },    // Peak load
+    { duration: '2m', target: 50 },    // Sustain peak
+    { duration: '1m', target: 0 },     // Ramp down
+  ],
+  thresholds: {
+    ...THRESHOLDS,
+    purchase_success: ['count>0'],
+    checkout_duration: ['p(95)<1000'],
+    time_to_confirmation: ['p(95)<3000'],
+    inventory_consistent: ['rate==1'],
+    graphql_errors: ['rate<0.05'],  // Sold-out conflicts are expected, little else is
+    'http_req_duration{graphql_operation:Checkout}': ['p(95)<1000'],
+    invalid_requests_rejected: ['rate==1'],
+  },
+  tags: {
+    testType: 'purchase-flow-graphql',
+  },
+};
+
+// Expects 400 with the variables error, so it doesn't go through the
+// helpers' success checks and the 400 doesn't count as a failed request
+function rejectsVariables(description, variables) {
+  const response = http.post(
+    `${BASE_URL}/graphql`,
+    JSON.stringify({ query: 'query Product($id: ID!) { product(id: $id) { id } }', variables }),
+    {
+      headers: HEADERS,
+      tags: { type: 'read', api: 'graphql', name: 'graphql invalid variables' },
+      responseCallback: http.expectedStatuses(400),
+    }
+  );
+  const rejected = check(response, {
+    [`${description} variables rejected`]: (r) =>
+      r.status === 400 && r.json('errors.0.message') === '"variables" must be an object',
+  });
+  invalidRejected.add(rejected, { variables: description });
+}
+
+export function setup() {
+  rejectsVariables('number', 5);
+  rejectsVariables('array', []);
+
+  return {
+    baseEmail: 'user',
+    password: 'password123',
+  };
+}
+
+function recordErrors(response) {
+  graphqlErrors.add(graphqlErrorCode(response) !== null);
+}
+
+export default function (data) {
+  const email = `${data.baseEmail}${(__VU % 100) + 1}@test.com`;
+
+  // Step 1: Login
+  let token;
+  group('01_Login', function () {
+    token = gqlLogin(email, data.password);
+    if (!token) {
+      purchaseFailed.add(1);
+      return;
+    }
+    sleep(1);
+  });
+
+  if (!token) return;
+
+  const authHeaders = getAuthHeaders(token);
+
+  // Step 2: Browse products
+  let products;
+  group('02_Browse', function () {
+    const response = gqlProducts({ page: 1, limit: 20 }, authHeaders);
+    recordErrors(response);
+    if (response.status === 200 && graphqlErrorCode(response) === null) {
+      products = response.json('data.products.data');
+    }
+    sleep(randomInt(2, 4));
+  });
+
+  if (!products || products.length === 0) {
+    purchaseFailed.add(1);
+    return;
+  }
+
+  // Step 3: View product details
+  const selectedProduct = products[randomInt(0, Math.min(products.length - 1, 19))];
+  group('03_ViewProduct', function () {
+    recordErrors(gqlProduct(selectedProduct.id, authHeaders));
+    sleep(randomInt(1, 3));
+  });
+
+  // Step 4: Add to cart
+  group('04_AddToCart', function () {
+    const response = gqlAddToCart(selectedProduct.id, randomInt(1, 3), authHeaders);
+    if (graphqlErrorCode(response) !== 'CONFLICT') recordErrors(response);
+    sleep(1);
+  });
+
+  // Step 5: View cart
+  group('05_ViewCart', function () {
+    recordErrors(gqlCart(authHeaders));
+    sleep(randomInt(1, 2));
+  });
+
+  // Step 6: Checkout (100% for first VU to ensure threshold passes, 30% for others)
+  const shouldCheckout = __VU === 1 || randomInt(1, 10) <= 3;
+  if (shouldCheckout) {
+    group('06_Checkout', function () {
+      const startTime = Date.now();
+      const response = gqlCheckout(authHeaders, generateIdempotencyKey());
+      checkoutDuration.add(Date.now() - startTime);
+
+      const errorCode = graphqlErrorCode(response);
+      if (response.status === 200 && errorCode === null) {
+        purchaseSuccess.add(1);
+        graphqlErrors.add(false);
+
+        const order = gqlWaitForOrderStatus(
+          response.json('data.checkout.id'), authHeaders, ['paid', 'shipped', 'failed', 'cancelled']
+        );
+        if (order && (order.status === 'paid' || order.status === 'shipped')) {
+          timeToConfirmation.add(Date.now() - startTime);
+        } else if (order && order.status === 'failed') {
+          paymentFailed.add(1);
+        }
+      } else if (errorCode === 'CONFLICT') {
+        purchaseSoldOut.add(1);
+      } else {
+        purchaseFailed.add(1);
+        graphqlErrors.add(true);
+      }
+    });
+  }
+
+  sleep(randomInt(1, 3));
+}
+
+export function teardown() {
+  const response = checkInventory();
+  inventoryConsistent.add(response.status === 200 && response.json('consistent') === true);
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/purchase-flow-graphql-summary.json': JSON.stringify(data, null, 2),
+  };
+}
@@ -1,5 +1,5 @@
 import { sleep, group } from 'k6';
-import { Counter, Trend } from 'k6/metrics';
+import { Counter, Rate, Trend } from 'k6/metrics';
 import { BASE_URL, THRESHOLDS, getAuthHeaders } from '../config.js';
 import {
   login,
@@ -8,6 +8,8 @@ import {
   addToCart,
   getCart,
   checkout,
+  waitForOrderStatus,
+  checkInventory,
   randomInt,
 } from '../helpers.js';
 
@@ -24,12 +26,19 @@ import {
  * 4. Add to cart
  * 5. View cart
  * 6. Checkout
+ * 7. Wait for payment confirmation (orders start as pending)
+ *
+ * After the run, teardown verifies that no product was oversold.
  */
 
 // Custom metrics
 const purchaseSuccess = new Counter('purchase_success');
 const purchaseFailed = new Counter('purchase_failed');
+const purchaseSoldOut = new Counter('purchase_sold_out');
+const inventoryConsistent = new Rate('inventory_consistent');
 const checkoutDuration = new Trend('checkout_duration');
+const timeToConfirmation = new Trend('time_to_confirmation', true);
+const paymentFailed = new Counter('payment_failed');
 
 export const options = {
   stages: [
@@ -44,6 +53,8 @@ export const options = {
     ...THRESHOLDS,
     purchase_success: ['count>0'],  // At least 1 successful purchase
     checkout_duration: ['p(95)<1000'],
+    time_to_confirmation: ['p(95)<3000'],  // Business SLO: order paid within 3s
+    inventory_consistent: ['rate==1'],  // No product oversold
   },
   tags: {
     testType: 'purchase-flow',
@@ -123,6 +134,15 @@ export default function (data) {
 
       if (response.status === 201) {
         purchaseSuccess.add(1);
+
+        const order = waitForOrderStatus(response.json('id'), authHeaders, ['paid', 'shipped', 'failed', 'cancelled']);
+        if (order && (order.status === 'paid' || order.status === 'shipped')) {
+          timeToConfirmation.add(Date.now() - startTime);
+        } else if (order && order.status === 'failed') {
+          paymentFailed.add(1);
+        }
+      } else if (response.status === 409) {
+        purchaseSoldOut.add(1);
       } else {
         purchaseFailed.add(1);
       }
@@ -132,6 +152,11 @@ export default function (data) {
   sleep(randomInt(1, 3));
 }
 
+export function teardown() {
+  const response = checkInventory();
+  inventoryConsistent.add(response.status === 200 && response.json('consistent') === true);
+}
+
 export function handleSummary(data) {
   return {
     'reports/purchase-flow-summary.json': JSON.stringify(data, null, 2),
@@ -0,0 +1,132 @@
+import http from 'k6/http';
+import { Counter, Rate } from 'k6/metrics';
+import { BASE_URL, THRESHOLDS, HEADERS, getAuthHeaders } from '../config.js';
+import {
+  login,
+  getProducts,
+  getProduct,
+  searchProducts,
+  addToCart,
+  clearCart,
+  randomInt,
+  randomElement,
+} from '../helpers.js';
+
+/**
+ * Rolling Restart Test
+ *
+ * Purpose: Measure what clients see while the API is restarted under load.
+ * Run it, then restart the API part-way through:
+ *
+ *   CLUSTER_WORKERS=4 WARMUP_SECONDS=10 node api/src/server.js
+ *   k6 run tests/load/rolling-restart.js
+ *   kill -HUP <primary pid>     # replaces the workers one at a time
+ *
+ * Behind a load balancer, restart the instances one by one instead (each
+ * drains on SIGTERM). The API should answer every request: draining
+ * processes finish what they have and stop taking new connections, and
+ * replacements only count as ready after their warm-up.
+ *
+ * Scenarios (run together):
+ * - shoppers: steady catalog reads, searches and cart writes.
+ * - probe: polls /health/ready, recording how often it was ready and each
+ *   time it answered from a warming or draining process.
+ *
+ * restart_errors counts responses lost to the restart: connection errors
+ * (status 0, e.g. a reset keep-alive connection) and 5xx. Rate-limited
+ * responses are not counted.
+ */
+
+const restartErrors = new Rate('restart_errors');
+const connectionErrors = new Counter('restart_connection_errors');
+const serverErrors = new Counter('restart_server_errors');
+const ready = new Rate('readiness_ready');
+const warmingProbes = new Counter('readiness_warming');
+const drainingProbes = new Counter('readiness_draining');
+
+const QUERIES = ['electronics', 'books', 'quality', 'spo', 'high quality item'];
+
+export const options = {
+  scenarios: {
+    shoppers: {
+      executor: 'constant-arrival-rate',
+      rate: 50,
+      timeUnit: '1s',
+      duration: '3m',
+      preAllocatedVUs: 20,
+      maxVUs: 100,
+      exec: 'shopper',
+    },
+    probe: {
+      executor: 'constant-arrival-rate',
+      rate: 4,
+      timeUnit: '1s',
+      duration: '3m',
+      preAllocatedVUs: 2,
+      maxVUs: 5,
+      exec: 'probe',
+    },
+  },
+  thresholds: {
+    ...THRESHOLDS,
+    restart_errors: ['rate<0.001'],
+    'http_req_failed{scenario:shoppers}': ['rate<0.001'],
+    'http_req_duration{scenario:shoppers}': ['p(95)<500'],
+    readiness_ready: ['rate>0.5'],
+  },
+  tags: {
+    testType: 'rolling-restart',
+  },
+};
+
+function record(response) {
+  const connectionError = response.status === 0;
+  const serverError = response.status >= 500;
+  restartErrors.add(connectionError || serverError);
+  if (connectionError) connectionErrors.add(1);
+  if (serverError) serverErrors.add(1, { status: String(response.status) });
+}
+
+// Per-VU session
+let token = null;
+
+export function shopper() {
+  const roll = randomInt(1, 10);
+  if (roll <= 3) {
+    record(getProducts({ page: randomInt(1, 5), limit: 20 }));
+  } else if (roll <= 6) {
+    record(getProduct(randomInt(1, 200).toString()));
+  } else if (roll <= 8) {
+    record(searchProducts(randomElement(QUERIES)));
+  } else {
+    if (!token) {
+      token = login(`user${(__VU % 100) + 1}@test.com`, 'password123');
+      if (!token) return;
+    }
+    const authHeaders = getAuthHeaders(token);
+    record(addToCart(String(randomInt(1, 100)), 1, authHeaders));
+    record(clearCart(authHeaders));
+  }
+}
+
+export function probe() {
+  const response = http.get(`${BASE_URL}/health/ready`, {
+    headers: HEADERS,
+    tags: { type: 'probe', name: 'GET /health/ready' },
+    // 503 is the probe's answer while warming or draining, not a failure
+    responseCallback: http.expectedStatuses(200, 503),
+  });
+
+  ready.add(response.status === 200);
+  if (response.status === 503) {
+    const state = response.json('state');
+    if (state === 'warming') warmingProbes.add(1);
+    if (state === 'draining') drainingProbes.add(1);
+  }
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/rolling-restart-summary.json': JSON.stringify(data, null, 2),
+  };
+}
@@ -0,0 +1,106 @@
+import { sleep, group } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import { THRESHOLDS } from '../config.js';
+import { searchProducts, randomInt, randomElement } from '../helpers.js';
+
+/**
+ * Search Load Test
+ *
+ * Purpose: Search-heavy traffic shaped like users of a real search box:
+ * a query, a refinement by a facet the results offered, paging, and a
+ * price filter.
+ *
+ * Flow per iteration:
+ * 1. Search (single or multi-word, some prefixes like "elec")
+ * 2. Refine by the most common category facet
+ * 3. Page through up to 3 result pages
+ * 4. Narrow by one of the price facets
+ *
+ * Compare index vs scan by running it against an API started with
+ * SEARCH_MODE=index (default) and then SEARCH_MODE=scan: the results are
+ * identical, so the difference in search_step_duration is the index.
+ */
+
+const QUERIES = [
+  'electronics', 'books', 'sports', 'home', 'clothing',
+  'quality', 'excellent features', 'product 12', 'elec', 'spo',
+  'product description quality', 'high quality item',
+];
+
+const searchDuration = new Trend('search_step_duration', true);
+const searchResults = new Trend('search_results');
+const emptySearches = new Rate('search_empty');
+
+export const options = {
+  stages: [
+    { duration: '30s', target: 10 },   // Warm up
+    { duration: '2m', target: 40 },    // Ramp up
+    { duration: '3m', target: 40 },    // Steady search traffic
+    { duration: '30s', target: 0 },    // Ramp down
+  ],
+  thresholds: {
+    ...THRESHOLDS,
+    search_empty: ['rate<0.05'],
+    'search_step_duration{step:query}': ['p(95)<400'],
+    'search_step_duration{step:page}': ['p(95)<400'],
+  },
+  tags: {
+    testType: 'search',
+  },
+};
+
+function search(step, query, filters) {
+  const response = searchProducts(query, undefined, filters);
+  searchDuration.add(response.timings.duration, { step });
+  return response.status === 200 ? response.json() : null;
+}
+
+export default function () {
+  const query = randomElement(QUERIES);
+  let results;
+
+  group('01_Query', function () {
+    results = search('query', query, { limit: 20 });
+    if (results) {
+      searchResults.add(results.total);
+      emptySearches.add(results.total === 0);
+    }
+    sleep(randomInt(1, 3));
+  });
+
+  if (!results || results.total === 0) return;
+
+  // Refine by the category the facets say has most matches
+  const category = results.facets.category.length > 0 ? results.facets.category[0].value : null;
+  let refined;
+  group('02_Refine', function () {
+    refined = search('refine', query, { category, limit: 20 });
+    sleep(randomInt(1, 2));
+  });
+
+  if (!refined) return;
+
+  group('03_Page', function () {
+    const pages = Math.min(refined.pagination.totalPages, 3);
+    for (let page = 2; page <= pages; page++) {
+      search('page', query, { category, page, limit: 20 });
+      sleep(1);
+    }
+  });
+
+  group('04_PriceFilter', function () {
+    const buckets = refined.facets.price.filter((bucket) => bucket.count > 0);
+    if (buckets.length === 0) return;
+    const bucket = randomElement(buckets);
+    const filters = { category, minPrice: bucket.min, limit: 20 };
+    if (bucket.max !== null) filters.maxPrice = bucket.max;
+    search('price', query, filters);
+    sleep(randomInt(1, 3));
+  });
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/search-summary.json': JSON.stringify(data, null, 2),
+  };
+}
@@ -0,0 +1,145 @@
+import ws from 'k6/ws';
+import { check, sleep } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { BASE_URL, getAuthHeaders } from '../config.js';
+import { login, addToCart, checkout, randomInt } from '../helpers.js';
+
+/**
+ * WebSocket Updates Test
+ *
+ * Purpose: Hold thousands of /ws connections open while orders are placed,
+ * and measure how quickly order-status and stock events reach subscribers.
+ *
+ * Scenarios:
+ * - subscribers: ramps up to WS_CONNECTIONS sockets (default 2000). Each
+ *   subscribes to its user's orders and to stock of the hot products, pings
+ *   every 10s and reconnects after WS_HOLD_SECONDS.
+ * - buyers: places orders for hot products at a steady rate, producing
+ *   stock events (fanned out to every subscriber) and order-status events
+ *   (fanned out to every socket of the buying user).
+ *
+ * Delivery latency is the time from the server publishing an event
+ * (`publishedAt`) to the socket receiving it, so run k6 on the API host or
+ * with synchronized clocks. Ping round trips are measured separately.
+ */
+
+const WS_CONNECTIONS = parseInt(__ENV.WS_CONNECTIONS || '2000');
+const WS_HOLD_SECONDS = parseInt(__ENV.WS_HOLD_SECONDS || '60');
+const HOT_PRODUCTS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'];
+const WS_URL = `${BASE_URL.replace(/^http/, 'ws')}/ws`;
+
+const deliveryLatency = new Trend('ws_delivery_latency', true);
+const subscribeLatency = new Trend('ws_subscribe_latency', true);
+const pingRtt = new Trend('ws_ping_rtt', true);
+const eventsReceived = new Counter('ws_events_received');
+const connectionSuccess = new Rate('ws_connection_success');
+const ordersPlaced = new Counter('orders_placed');
+
+export const options = {
+  scenarios: {
+    subscribers: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '1m', target: WS_CONNECTIONS },   // Open connections
+        { duration: '3m', target: WS_CONNECTIONS },   // Hold while orders flow
+        { duration: '30s', target: 0 },               // Close
+      ],
+      gracefulRampDown: `${WS_HOLD_SECONDS + 5}s`,
+      exec: 'subscriber',
+    },
+    buyers: {
+      executor: 'constant-arrival-rate',
+      rate: 5,
+      timeUnit: '1s',
+      duration: '3m',
+      startTime: '1m',
+      preAllocatedVUs: 20,
+      maxVUs: 50,
+      exec: 'buyer',
+    },
+  },
+  thresholds: {
+    ws_connection_success: ['rate>0.99'],
+    ws_delivery_latency: ['p(95)<250', 'p(99)<500'],
+    'ws_delivery_latency{event:order.status}': ['p(95)<250'],
+    ws_subscribe_latency: ['p(95)<500'],
+    ws_events_received: ['count>0'],
+  },
+  tags: {
+    testType: 'websocket',
+  },
+};
+
+export function setup() {
+  // One token per seeded user; subscribers and buyers share them so order
+  // events reach the sockets of the user who placed the order
+  const tokens = [];
+  for (let i = 1; i <= 100; i++) {
+    tokens.push(login(`user${i}@test.com`, 'password123'));
+  }
+  return { tokens };
+}
+
+function tokenFor(data, vu) {
+  return data.tokens[vu % data.tokens.length];
+}
+
+export function subscriber(data) {
+  const token = tokenFor(data, __VU);
+  let subscribedAt = null;
+  const openedAt = Date.now();
+
+  const response = ws.connect(`${WS_URL}?token=${token}`, { tags: { name: 'ws /ws' } }, function (socket) {
+    socket.on('open', () => {
+      socket.send(JSON.stringify({ type: 'subscribe', channel: 'orders' }));
+      socket.send(JSON.stringify({ type: 'subscribe', channel: 'stock', productIds: HOT_PRODUCTS }));
+
+      socket.setInterval(() => {
+        socket.send(JSON.stringify({ type: 'ping', sentAt: Date.now() }));
+      }, 10000);
+      socket.setTimeout(() => socket.close(), WS_HOLD_SECONDS * 1000);
+    });
+
+    socket.on('message', (raw) => {
+      const message = JSON.parse(raw);
+      if (message.type === 'subscribed' && message.channel === 'stock' && subscribedAt === null) {
+        subscribedAt = Date.now();
+        subscribeLatency.add(subscribedAt - openedAt);
+      } else if (message.type === 'pong') {
+        pingRtt.add(Date.now() - message.sentAt);
+      } else if (message.type === 'order.status' || message.type === 'stock') {
+        eventsReceived.add(1, { event: message.type });
+        deliveryLatency.add(Date.now() - message.publishedAt, { event: message.type });
+      }
+    });
+
+    socket.on('error', (e) => {
+      console.error(`VU ${__VU} socket error: ${e.error()}`);
+    });
+  });
+
+  const connected = check(response, {
+    'ws upgraded': (r) => r && r.status === 101,
+  });
+  connectionSuccess.add(connected);
+
+  if (!connected) sleep(1);
+}
+
+export function buyer(data) {
+  const authHeaders = getAuthHeaders(tokenFor(data, randomInt(0, data.tokens.length - 1)));
+  const productId = HOT_PRODUCTS[randomInt(0, HOT_PRODUCTS.length - 1)];
+
+  const added = addToCart(productId, 1, authHeaders);
+  if (added.status !== 200) return;
+
+  const response = checkout(authHeaders);
+  if (response.status === 201) ordersPlaced.add(1);
+}
+
+export function handleSummary(data) {
+  return {
+    'reports/websocket-summary.json': JSON.stringify(data, null, 2),
+  };
+}
@@ -2,7 +2,10 @@ import { sleep, check, group } from 'k6';
 import http from 'k6/http';
 import { Trend, Counter, Rate } from 'k6/metrics';
 import { BASE_URL, getAuthHeaders } from '../config.js';
-import { login, getProducts, getProduct, addToCart, searchProducts } from '../helpers.js';
+import {
+  login, getProducts, getProduct, addToCart, searchProducts,
+  getSalesReport, waitForReportJob, downloadReport, randomElement,
+} from '../helpers.js';
 
 /**
  * Mixed Workload Scenario Test
@@ -11,8 +14,16 @@ import { login, getProducts, getProduct, addToCart, searchProducts } from '../he
  * - Browsers (60%): Just looking around
  * - Shoppers (30%): Adding items to cart
  * - Buyers (10%): Completing purchases
+ * - Analysts (a few): Running sales reports next to the shop traffic
  *
  * Models real-world traffic distribution.
+ *
+ * Analysts ask for reports over short ranges (answered directly) and long
+ * ones (answered 202 with a job they poll, then download), so the
+ * long-running-operation pattern shares the API with everyone else.
+ * report_time_to_result{mode:sync|job} is how long an analyst waited for a
+ * report; report_jobs_rejected counts submissions refused by the API's job
+ * limits (REPORT_JOB_CONCURRENCY, REPORT_JOB_QUEUE_DEPTH).
  */
 
 // Metrics per user type
@@ -20,6 +31,16 @@ const browserActions = new Counter('browser_actions');
 const shopperActions = new Counter('shopper_actions');
 const buyerActions = new Counter('buyer_actions');
 const conversionRate = new Rate('conversion_rate');
+const reportTimeToResult = new Trend('report_time_to_result', true);
+const reportJobsRejected = new Counter('report_jobs_rejected');
+
+// [days back, groupBy]: the first two fit a synchronous report
+const REPORT_REQUESTS = [
+  [7, 'day'],
+  [30, 'category'],
+  [90, 'product'],
+  [365, 'day'],
+];
 
 export const options = {
   scenarios: {
@@ -59,11 +80,25 @@ export const options = {
       exec: 'buyerBehavior',
       tags: { userType: 'buyer' },
     },
+    // Analysts - few, but with slow reports
+    analysts: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '1m', target: 3 },
+        { duration: '3m', target: 3 },
+        { duration: '1m', target: 0 },
+      ],
+      exec: 'analystBehavior',
+      tags: { userType: 'analyst' },
+    },
   },
   thresholds: {
     http_req_duration: ['p(95)<500'],
     http_req_failed: ['rate<0.01'],
     conversion_rate: ['rate>0'],
+    'report_time_to_result{mode:sync}': ['p(95)<2000'],
+    'report_time_to_result{mode:job}': ['p(95)<30000'],
   },
 };
 
@@ -215,6 +250,42 @@ export function buyerBehavior(data) {
   sleep(Math.random() * 2 + 1);
 }
 
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Analyst: Runs a sales report, waiting for it as a job when the range is long
+export function analystBehavior(data) {
+  const vuId = __VU;
+  const email = `${data.baseEmail}${(vuId % 100) + 1}@test.com`;
+
+  group('Analyst Session', () => {
+    const token = login(email, data.password);
+    if (!token) {
+      return;
+    }
+    const headers = getAuthHeaders(token);
+    const [days, groupBy] = randomElement(REPORT_REQUESTS);
+    const started = Date.now();
+
+    const response = getSalesReport({ from: daysAgo(days - 1), groupBy }, headers);
+    if (response.status === 200) {
+      reportTimeToResult.add(Date.now() - started, { mode: 'sync' });
+    } else if (response.status === 202) {
+      const job = waitForReportJob(response.json('statusUrl'), headers);
+      check(job, { 'report job completed': (j) => j !== null && j.status === 'completed' });
+      if (job && job.status === 'completed') {
+        downloadReport(job.resultUrl, headers);
+        reportTimeToResult.add(Date.now() - started, { mode: 'job' });
+      }
+    } else if (response.status === 429 || response.status === 503) {
+      reportJobsRejected.add(1);
+    }
+  });
+
+  sleep(Math.random() * 10 + 10);
+}
+
 export function handleSummary(data) {
   return {
     'reports/mixed-workload-summary.json': JSON.stringify(data, null, 2),
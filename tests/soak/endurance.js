@@ -1,5 +1,6 @@
 import { sleep } from 'k6';
-import { Counter, Rate, Trend } from 'k6/metrics';
+import http from 'k6/http';
+import { Counter, Gauge, Rate, Trend } from 'k6/metrics';
 import { BASE_URL, THRESHOLDS, getAuthHeaders } from '../config.js';
 import {
   login,
@@ -24,35 +25,114 @@ import {
  * - Memory growth
  * - Connection pool exhaustion
  * - Log file growth
+ *
+ * Start the API with STORAGE_BACKEND=file to include real disk I/O, journal
+ * growth and write-lock contention (see `storage` in /metrics).
+ *
+ * Leak detection: the server's heap, RSS, event-loop lag and open file
+ * descriptors are sampled from /metrics every SAMPLE_INTERVAL_SECONDS, and
+ * growth between setup and teardown is checked against thresholds. Product
+ * response times early in the soak period are compared with the end of it
+ * (latency drift). To prove the analysis catches something, start the API
+ * with DEFECTS=heap-leak,latency-creep,handle-leak: soakAnalysis.flags
+ * should list all of them.
  */
 
+const RAMP_UP_MINUTES = 2;
+const SOAK_MINUTES = parseInt(__ENV.SOAK_MINUTES || '10');  // Increase for a real soak test
+const SAMPLE_INTERVAL_SECONDS = 30;
+const MAX_HEAP_GROWTH_MB = parseInt(__ENV.MAX_HEAP_GROWTH_MB || '64');
+const MAX_FD_GROWTH = parseInt(__ENV.MAX_FD_GROWTH || '50');
+const MAX_LATENCY_DRIFT = parseFloat(__ENV.MAX_LATENCY_DRIFT || '1.5');  // late p95 / early p95
+
 // Custom metrics
 const hourlyErrors = new Counter('hourly_errors');
 const memoryIndicator = new Trend('memory_indicator_response_time');
+const serverHeapUsed = new Trend('server_heap_used_mb');
+const serverRss = new Trend('server_rss_mb');
+const serverEventLoopLag = new Trend('server_event_loop_lag_p99', true);
+const serverOpenFds = new Trend('server_open_fds');
+const heapGrowth = new Gauge('server_heap_growth_mb');
+const rssGrowth = new Gauge('server_rss_growth_mb');
+const fdGrowth = new Gauge('server_fd_growth');
+const timerGrowth = new Gauge('server_timer_growth');
+// The server's runtime figures at the end of the run, read in teardown() so
+// handleSummary() can report them
+const runtimeAtEnd = {
+  heapUsedMb: new Gauge('server_heap_used_mb_at_end'),
+  rssMb: new Gauge('server_rss_mb_at_end'),
+  eventLoopLagP99Ms: new Gauge('server_event_loop_lag_p99_at_end'),
+  gcCount: new Gauge('server_gc_count_at_end'),
+  gcPauseTotalMs: new Gauge('server_gc_pause_total_ms_at_end'),
+  openFileDescriptors: new Gauge('server_open_fds_at_end'),
+  timers: new Gauge('server_timers_at_end'),
+};
 
 export const options = {
   stages: [
-    { duration: '2m', target: 30 },    // Ramp up
-    { duration: '10m', target: 30 },   // Soak period (increase for real soak test)
-    { duration: '2m', target: 0 },     // Ramp down
+    { duration: `${RAMP_UP_MINUTES}m`, target: 30 },   // Ramp up
+    { duration: `${SOAK_MINUTES}m`, target: 30 },      // Soak period
+    { duration: '2m', target: 0 },                     // Ramp down
   ],
   thresholds: {
     ...THRESHOLDS,
     http_req_failed: ['rate<0.01'],    // Very low error tolerance for soak
+    server_heap_growth_mb: [`value<${MAX_HEAP_GROWTH_MB}`],
+    server_fd_growth: [`value<${MAX_FD_GROWTH}`],
+    server_timer_growth: [`value<${MAX_FD_GROWTH}`],
+    // Listed so both windows appear in the summary for the drift check
+    'memory_indicator_response_time{window:early}': ['p(95)<1000'],
+    'memory_indicator_response_time{window:late}': ['p(95)<1000'],
   },
   tags: {
     testType: 'soak',
   },
 };
 
+const MB = 1024 * 1024;
+
+function runtimeStats() {
+  const response = http.get(`${BASE_URL}/metrics`, { tags: { type: 'admin' } });
+  return response.status === 200 ? response.json('runtime') : null;
+}
+
+function timerCount(runtime) {
+  return runtime.handles.activeResources.Timeout || 0;
+}
+
+// First and last thirds of the soak period; the ramps are left out
+function latencyWindow(elapsedMinutes) {
+  const soakElapsed = elapsedMinutes - RAMP_UP_MINUTES;
+  if (soakElapsed < 0 || soakElapsed >= SOAK_MINUTES) return null;
+  if (soakElapsed < SOAK_MINUTES / 3) return 'early';
+  if (soakElapsed >= (SOAK_MINUTES * 2) / 3) return 'late';
+  return null;
+}
+
+// Only VU 1 samples, once per interval
+let lastSampleAt = 0;
+
+function sampleRuntime() {
+  if (__VU !== 1 || Date.now() - lastSampleAt < SAMPLE_INTERVAL_SECONDS * 1000) return;
+  lastSampleAt = Date.now();
+
+  const runtime = runtimeStats();
+  if (!runtime) return;
+  serverHeapUsed.add(runtime.memory.heapUsedBytes / MB);
+  serverRss.add(runtime.memory.rssBytes / MB);
+  serverEventLoopLag.add(runtime.eventLoopLagMs.p99);
+  if (runtime.handles.openFileDescriptors !== null) serverOpenFds.add(runtime.handles.openFileDescriptors);
+}
+
 export function setup() {
   const token = login();
-  return { token, startTime: Date.now() };
+  return { token, startTime: Date.now(), runtimeAtStart: runtimeStats() };
 }
 
 export default function (data) {
   const authHeaders = data.token ? getAuthHeaders(data.token) : undefined;
   const elapsedMinutes = Math.floor((Date.now() - data.startTime) / 60000);
+  sampleRuntime();
 
   // Realistic user journey simulation
   const journey = randomInt(1, 100);
@@ -71,7 +151,8 @@ export default function (data) {
     const productId = randomInt(1, 500).toString();
     const startTime = Date.now();
     getProduct(productId);
-    memoryIndicator.add(Date.now() - startTime);
+    const window = latencyWindow((Date.now() - data.startTime) / 60000);
+    memoryIndicator.add(Date.now() - startTime, window ? { window } : {});
     sleep(randomInt(1, 3));
 
   } else if (journey <= 90) {
@@ -98,18 +179,87 @@ export default function (data) {
   }
 }
 
+// Growth over the whole run, compared against thresholds
+export function teardown(data) {
+  const start = data.runtimeAtStart;
+  const end = runtimeStats();
+  if (!start || !end) return;
+
+  heapGrowth.add((end.memory.heapUsedBytes - start.memory.heapUsedBytes) / MB);
+  rssGrowth.add((end.memory.rssBytes - start.memory.rssBytes) / MB);
+  timerGrowth.add(timerCount(end) - timerCount(start));
+  if (start.handles.openFileDescriptors !== null) {
+    fdGrowth.add(end.handles.openFileDescriptors - start.handles.openFileDescriptors);
+  }
+
+  const values = {
+    heapUsedMb: end.memory.heapUsedBytes / MB,
+    rssMb: end.memory.rssBytes / MB,
+    eventLoopLagP99Ms: end.eventLoopLagMs.p99,
+    gcCount: end.gc.sinceStart.count,
+    gcPauseTotalMs: end.gc.sinceStart.totalPauseMs,
+    openFileDescriptors: end.handles.openFileDescriptors,
+    timers: timerCount(end),
+  };
+  Object.keys(runtimeAtEnd).forEach((field) => {
+    if (values[field] !== null) runtimeAtEnd[field].add(values[field]);
+  });
+}
+
+function metricValue(data, name, stat) {
+  const metric = data.metrics[name];
+  return metric && metric.values[stat] !== undefined ? metric.values[stat] : null;
+}
+
+function runtimeSummary(data) {
+  const runtime = {};
+  Object.keys(runtimeAtEnd).forEach((field) => {
+    runtime[field] = metricValue(data, runtimeAtEnd[field].name, 'value');
+  });
+  return runtime;
+}
+
 export function handleSummary(data) {
+  const earlyP95 = metricValue(data, 'memory_indicator_response_time{window:early}', 'p(95)');
+  const lateP95 = metricValue(data, 'memory_indicator_response_time{window:late}', 'p(95)');
+  const latencyDrift = earlyP95 && lateP95 ? lateP95 / earlyP95 : null;
+  const growth = {
+    heapMb: metricValue(data, 'server_heap_growth_mb', 'value'),
+    rssMb: metricValue(data, 'server_rss_growth_mb', 'value'),
+    fileDescriptors: metricValue(data, 'server_fd_growth', 'value'),
+    timers: metricValue(data, 'server_timer_growth', 'value'),
+  };
+
+  const flags = [];
+  if (growth.heapMb !== null && growth.heapMb >= MAX_HEAP_GROWTH_MB) flags.push('heap-growth');
+  if (latencyDrift !== null && latencyDrift >= MAX_LATENCY_DRIFT) flags.push('latency-drift');
+  if ((growth.fileDescriptors !== null && growth.fileDescriptors >= MAX_FD_GROWTH) ||
+      (growth.timers !== null && growth.timers >= MAX_FD_GROWTH)) {
+    flags.push('handle-leak');
+  }
+
   const summary = {
     ...data,
     soakAnalysis: {
       totalDuration: data.state ? data.state.testRunDurationMs : 'N/A',
-      avgResponseTimeStart: 'Check time-series data',
-      avgResponseTimeEnd: 'Check time-series data',
+      p95ResponseTimeEarly: earlyP95,
+      p95ResponseTimeLate: lateP95,
+      latencyDrift,
+      growth,
+      eventLoopLagP99Max: metricValue(data, 'server_event_loop_lag_p99', 'max'),
+      runtimeAtStart: data.setup_data ? data.setup_data.runtimeAtStart : null,
+      runtimeAtEnd: runtimeSummary(data),
       memoryTrend: data.metrics.memory_indicator_response_time ?
         data.metrics.memory_indicator_response_time.values : 'N/A',
+      flags,
+      degraded: flags.length > 0,
     },
   };
 
+  if (flags.length > 0) {
+    console.log(`[Soak] Degradation detected: ${flags.join(', ')}`);
+  }
+
   return {
     'reports/soak-summary.json': JSON.stringify(summary, null, 2),
   };
@@ -3,7 +3,7 @@ import { Counter, Rate, Trend } from 'k6/metrics';
 import http from 'k6/http';
 import { check } from 'k6';
 import { BASE_URL, HEADERS, getAuthHeaders } from '../config.js';
-import { login, getProducts, searchProducts, randomInt } from '../helpers.js';
+import { login, getProducts, searchProducts, checkInventory, randomInt } from '../helpers.js';
 
 /**
  * Spike Test - Sudden Traffic Surge
@@ -15,12 +15,23 @@ import { login, getProducts, searchProducts, randomInt } from '../helpers.js';
  * - How quickly the system responds to sudden load
  * - Recovery time after spike subsides
  * - Error handling during high load
+ * - Overselling of the flash-sale product (checked in teardown)
  */
 
 // Custom metrics
 const spikeErrors = new Counter('spike_errors');
 const recoveryTime = new Trend('recovery_time');
 const spikeResponseTime = new Trend('spike_response_time');
+const flashSaleOrders = new Counter('flash_sale_orders');
+const flashSaleSoldOut = new Counter('flash_sale_sold_out');
+const inventoryConsistent = new Rate('inventory_consistent');
+
+const FLASH_SALE_PRODUCT_ID = __ENV.FLASH_SALE_PRODUCT_ID || '1';
+// Sold out (409) is a valid answer during a flash sale, not a failure
+const flashSaleParams = { responseCallback: http.expectedStatuses(200, 201, 409) };
+
+// Per-VU session for flash-sale buyers
+let buyerToken = null;
 
 export const options = {
   stages: [
@@ -37,6 +48,7 @@ export const options = {
   thresholds: {
     http_req_failed: ['rate<0.15'],            // Allow up to 15% failures during spike
     spike_response_time: ['p(95)<3000'],       // 3s max during spike
+    inventory_consistent: ['rate==1'],         // No overselling under concurrency
   },
   tags: {
     testType: 'spike',
@@ -63,9 +75,12 @@ export default function (data) {
     if (operation <= 6) {
       // 60% - Search for deals
       searchProducts('product');
-    } else {
-      // 40% - Browse product listings
+    } else if (operation <= 9) {
+      // 30% - Browse product listings
       getProducts({ page: 1, limit: 50 });
+    } else {
+      // 10% - Buy the flash-sale product
+      buyFlashSaleProduct();
     }
   } else {
     // Normal behavior
@@ -84,6 +99,44 @@ export default function (data) {
   sleep(isSpikePeriod ? 0.1 : randomInt(0.5, 1.5));
 }
 
+function buyFlashSaleProduct() {
+  if (!buyerToken) {
+    buyerToken = login(`user${(__VU % 100) + 1}@test.com`, 'password123');
+    if (!buyerToken) return;
+  }
+  const headers = getAuthHeaders(buyerToken);
+
+  const cartResponse = http.post(
+    `${BASE_URL}/api/cart/items`,
+    JSON.stringify({ productId: FLASH_SALE_PRODUCT_ID, quantity: 1 }),
+    { headers, tags: { type: 'write' }, ...flashSaleParams }
+  );
+  if (cartResponse.status === 409) {
+    flashSaleSoldOut.add(1);
+    return;
+  }
+
+  const orderResponse = http.post(`${BASE_URL}/api/orders`, '{}', {
+    headers,
+    tags: { type: 'write' },
+    ...flashSaleParams,
+  });
+  check(orderResponse, {
+    'flash sale order created or sold out': (r) => r.status === 201 || r.status === 409,
+  });
+
+  if (orderResponse.status === 201) {
+    flashSaleOrders.add(1);
+  } else if (orderResponse.status === 409) {
+    flashSaleSoldOut.add(1);
+  }
+}
+
+export function teardown() {
+  const response = checkInventory();
+  inventoryConsistent.add(response.status === 200 && response.json('consistent') === true);
+}
+
 export function handleSummary(data) {
   return {
     'reports/spike-summary.json': JSON.stringify(data, null, 2),
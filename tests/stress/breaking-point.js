@@ -1,5 +1,7 @@
 import { sleep } from 'k6';
-import { Counter, Rate, Trend } from 'k6/metrics';
+import http from 'k6/http';
+import exec from 'k6/execution';
+import { Counter, Gauge, Rate, Trend } from 'k6/metrics';
 import { BASE_URL, getAuthHeaders } from '../config.js';
 import { login, getProducts, getProduct, searchProducts, randomInt } from '../helpers.js';
 
@@ -13,12 +15,49 @@ import { login, getProducts, getProduct, searchProducts, randomInt } from '../he
  * - Response time degradation
  * - Error rate increase
  * - System resource exhaustion
+ *
+ * The knee is set by the API's load model: try DEGRADATION_PROFILE=cliff or
+ * DEGRADATION_MODEL=concurrency to compare failure shapes between runs.
+ * Start the API with DB_POOL_SIZE (and DB_POOL_QUEUE_DEPTH) set to add a
+ * saturation failure mode: once the simulated connection pool and its queue
+ * are full, requests fail fast with 503 and are counted as pool_rejections.
+ *
+ * Product lookups follow a popularity skew (most hit a small hot set), so
+ * the API's response cache has something to do; product_cache_hits shows
+ * how often it did. Run with RESPONSE_CACHE_SIZE=0 for the uncached curve.
+ *
+ * Listing browses deep: each VU walks the catalog page after page in one
+ * sort order, starting over when it reaches the end. Odd VUs page with
+ * page/limit offsets, even VUs follow nextCursor, so
+ * list_page_duration{paging:offset} vs {paging:cursor} shows what deep
+ * offsets cost (the API charges DB_OFFSET_ROW_COST_MS per skipped row).
  */
 
 // Custom metrics
 const errorRate = new Rate('error_rate');
 const degradedResponses = new Counter('degraded_responses');
 const responseTime = new Trend('response_time_trend');
+const poolRejections = new Counter('pool_rejections');
+const poolSaturatedAt = new Trend('pool_saturated_at_vus');
+const productCacheHits = new Rate('product_cache_hits');
+const listPageDuration = new Trend('list_page_duration', true);
+const listPageDepth = new Trend('list_page_depth');
+// The API's connection pool at the end of the run, read in teardown() so
+// handleSummary() can report it
+const poolAtEnd = {
+  size: new Gauge('server_db_pool_size'),
+  inUse: new Gauge('server_db_pool_in_use'),
+  queued: new Gauge('server_db_pool_queued'),
+  acquired: new Gauge('server_db_pool_acquired'),
+  avgWaitMs: new Gauge('server_db_pool_avg_wait_ms'),
+  maxWaitMs: new Gauge('server_db_pool_max_wait_ms'),
+  rejectedQueueFull: new Gauge('server_db_pool_rejected_queue_full'),
+  rejectedTimeout: new Gauge('server_db_pool_rejected_timeout'),
+};
+
+const HOT_PRODUCTS = 50;
+const LIST_PAGE_SIZE = 50;
+const LIST_SORTS = ['id:asc', 'price:asc', 'price:desc,rating:desc', 'rating:desc', 'category:asc,name:asc'];
 
 export const options = {
   stages: [
@@ -35,6 +74,9 @@ export const options = {
     error_rate: ['rate<0.1'],                    // Allow up to 10% errors during stress
     http_req_duration: ['p(95)<2000'],           // Relaxed threshold for stress
     degraded_responses: ['count<1000'],          // Track degraded responses
+    // Per-paging results only reach the summary when they have a threshold
+    'list_page_duration{paging:offset}': ['p(95)<2000'],
+    'list_page_duration{paging:cursor}': ['p(95)<2000'],
   },
   tags: {
     testType: 'stress',
@@ -43,6 +85,35 @@ export const options = {
 
 const DEGRADATION_THRESHOLD_MS = 500;
 
+// This VU's place in the catalog
+const browse = { sort: null, page: 1, cursor: null };
+
+function browseNextPage(authHeaders) {
+  const paging = exec.vu.idInTest % 2 === 1 ? 'offset' : 'cursor';
+  if (browse.sort === null) {
+    browse.sort = LIST_SORTS[randomInt(0, LIST_SORTS.length - 1)];
+  }
+  const params = { sort: browse.sort, limit: LIST_PAGE_SIZE };
+  if (paging === 'offset') params.page = browse.page;
+  if (paging === 'cursor' && browse.cursor) params.cursor = browse.cursor;
+
+  const response = getProducts(params, authHeaders);
+  listPageDuration.add(response.timings.duration, { paging });
+  listPageDepth.add(browse.page);
+
+  const pagination = response.status === 200 ? response.json('pagination') : null;
+  if (pagination && pagination.hasMore) {
+    browse.page++;
+    browse.cursor = pagination.nextCursor;
+  } else {
+    // End of the catalog (or an error): start over in a new sort order
+    browse.sort = null;
+    browse.page = 1;
+    browse.cursor = null;
+  }
+  return response;
+}
+
 export function setup() {
   const token = login();
   return { token };
@@ -57,8 +128,8 @@ export default function (data) {
   let response;
 
   if (operation <= 4) {
-    // 40% - List products (read-heavy)
-    response = getProducts({ page: randomInt(1, 50), limit: 50 }, authHeaders);
+    // 40% - Browse the product list, one page deeper each time
+    response = browseNextPage(authHeaders);
 
   } else if (operation <= 7) {
     // 30% - Search (CPU-intensive)
@@ -66,8 +137,10 @@ export default function (data) {
     response = searchProducts(terms[randomInt(0, terms.length - 1)], authHeaders);
 
   } else {
-    // 30% - Individual product (cache test)
-    response = getProduct(randomInt(1, 1000).toString(), authHeaders);
+    // 30% - Individual product (cache test): 80% from the hot set
+    const productId = randomInt(1, 10) <= 8 ? randomInt(1, HOT_PRODUCTS) : randomInt(1, 1000);
+    response = getProduct(productId.toString(), authHeaders);
+    productCacheHits.add(response.headers['X-Cache'] === 'HIT');
   }
 
   const duration = Date.now() - startTime;
@@ -77,6 +150,12 @@ export default function (data) {
   const isError = response.status >= 400;
   errorRate.add(isError);
 
+  // 503 means the API's connection pool queue overflowed or timed out
+  if (response.status === 503) {
+    poolRejections.add(1);
+    poolSaturatedAt.add(exec.instance.vusActive);
+  }
+
   if (duration > DEGRADATION_THRESHOLD_MS && !isError) {
     degradedResponses.add(1);
   }
@@ -85,6 +164,28 @@ export default function (data) {
   sleep(randomInt(0.1, 0.5));
 }
 
+export function teardown() {
+  const response = http.get(`${BASE_URL}/metrics`);
+  if (response.status !== 200) return;
+  const pool = response.json('dbPool');
+  const values = {
+    ...pool,
+    rejectedQueueFull: pool.rejected.queueFull,
+    rejectedTimeout: pool.rejected.timeout,
+  };
+  Object.keys(poolAtEnd).forEach((field) => poolAtEnd[field].add(values[field]));
+}
+
+// Pool figures recorded by teardown(), or null when /metrics didn't answer
+function poolSummary(data) {
+  const pool = {};
+  Object.keys(poolAtEnd).forEach((field) => {
+    const metric = data.metrics[poolAtEnd[field].name];
+    pool[field] = metric ? metric.values.value : null;
+  });
+  return pool;
+}
+
 export function handleSummary(data) {
   // Calculate breaking point indicators
   const summary = {
@@ -94,6 +195,17 @@ export function handleSummary(data) {
       errorRateFinal: data.metrics.error_rate ? data.metrics.error_rate.values.rate : 'N/A',
       p95ResponseTime: data.metrics.http_req_duration ? data.metrics.http_req_duration.values['p(95)'] : 'N/A',
       degradedCount: data.metrics.degraded_responses ? data.metrics.degraded_responses.values.count : 0,
+      poolRejections: data.metrics.pool_rejections ? data.metrics.pool_rejections.values.count : 0,
+      productCacheHitRate: data.metrics.product_cache_hits ? data.metrics.product_cache_hits.values.rate : 'N/A',
+      // Deep-page latency by paging style; the gap is the cost of OFFSET
+      listPageP95: {
+        offset: data.metrics['list_page_duration{paging:offset}'] ? data.metrics['list_page_duration{paging:offset}'].values['p(95)'] : 'N/A',
+        cursor: data.metrics['list_page_duration{paging:cursor}'] ? data.metrics['list_page_duration{paging:cursor}'].values['p(95)'] : 'N/A',
+      },
+      maxListPageDepth: data.metrics.list_page_depth ? data.metrics.list_page_depth.values.max : 'N/A',
+      // Fewest active VUs at which a 503 was seen: where the pool saturated
+      poolSaturatedAtVUs: data.metrics.pool_saturated_at_vus ? data.metrics.pool_saturated_at_vus.values.min : 'N/A',
+      dbPoolAtEnd: poolSummary(data),
     },
   };
 
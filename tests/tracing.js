@@ -0,0 +1,97 @@
+import http from 'k6/http';
+import exec from 'k6/execution';
+import { Trend } from 'k6/metrics';
+
+// Traced drop-in for k6/http, used by helpers.js and graphql-helpers.js.
+//
+// Each request is sent with its own X-Request-Id and a W3C traceparent, and
+// the Server-Timing header of the response is recorded as one Trend per
+// phase (server_timing_db, server_timing_total, ...). network_time is what
+// the server didn't account for: http_req_duration minus server total, i.e.
+// time on the wire, in kernel queues and in k6 itself.
+//
+// The request ID is attached as request metadata rather than as a tag:
+// it shows up on every sample in `--out json` output (to join with the
+// server's logs) without creating a new time series per request.
+
+const PHASES = ['ratelimit', 'auth', 'pool', 'fault', 'db', 'serialize', 'app', 'total'];
+
+const serverTiming = {};
+PHASES.forEach((phase) => {
+  serverTiming[phase] = new Trend(`server_timing_${phase}`, true);
+});
+const networkTime = new Trend('network_time', true);
+
+function randomHex(length) {
+  let hex = '';
+  for (let i = 0; i < length; i++) {
+    hex += Math.floor(Math.random() * 16).toString(16);
+  }
+  return hex;
+}
+
+export function generateRequestId() {
+  return `k6-${__VU}-${__ITER}-${randomHex(12)}`;
+}
+
+// Parses "db;dur=12.3, total;dur=20.1" into { db: 12.3, total: 20.1 }
+export function parseServerTiming(header) {
+  const phases = {};
+  if (!header) return phases;
+  header.split(',').forEach((entry) => {
+    const parts = entry.trim().split(';');
+    const duration = parts.slice(1).find((param) => param.trim().indexOf('dur=') === 0);
+    if (duration) phases[parts[0]] = parseFloat(duration.trim().slice(4));
+  });
+  return phases;
+}
+
+export function recordServerTiming(response, tags = {}) {
+  const phases = parseServerTiming(response.headers['Server-Timing']);
+  PHASES.forEach((phase) => {
+    if (phases[phase] !== undefined) serverTiming[phase].add(phases[phase], tags);
+  });
+  if (phases.total !== undefined) {
+    networkTime.add(Math.max(0, response.timings.duration - phases.total), tags);
+  }
+  return phases;
+}
+
+// exec.vu is not available in the init context
+function setRequestMetadata(requestId) {
+  try {
+    if (requestId) {
+      exec.vu.metrics.metadata.request_id = requestId;
+    } else {
+      delete exec.vu.metrics.metadata.request_id;
+    }
+  } catch (e) {
+    // Not in a VU (or k6 older than 0.45): the ID is still sent as a header
+  }
+}
+
+export function request(method, url, body, params = {}) {
+  const requestId = generateRequestId();
+  const headers = Object.assign({}, params.headers, {
+    'X-Request-Id': requestId,
+    traceparent: `00-${randomHex(32)}-${randomHex(16)}-01`,
+  });
+
+  setRequestMetadata(requestId);
+  const response = http.request(method, url, body, Object.assign({}, params, { headers }));
+  setRequestMetadata(null);
+
+  const tags = {};
+  if (params.tags && params.tags.type) tags.type = params.tags.type;
+  recordServerTiming(response, tags);
+  return response;
+}
+
+export default {
+  request,
+  get: (url, params) => request('GET', url, null, params),
+  post: (url, body, params) => request('POST', url, body, params),
+  put: (url, body, params) => request('PUT', url, body, params),
+  patch: (url, body, params) => request('PATCH', url, body, params),
+  del: (url, body, params) => request('DELETE', url, body, params),
+};